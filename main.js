@@ -1,831 +1,3359 @@
-const { Plugin, MarkdownView, PluginSettingTab, Setting, normalizePath, moment } = require('obsidian');
+const { Plugin, MarkdownView, PluginSettingTab, Setting, Menu, Notice, TFile, debounce, normalizePath, moment, getAllTags, editorInfoField } = require('obsidian');
 const { EditorView, ViewPlugin, Decoration } = require('@codemirror/view');
-const { RangeSet } = require('@codemirror/state');
-const { cursorLineUp, cursorLineDown } = require('@codemirror/commands');
+const { RangeSet, Text, EditorState, EditorSelection, Transaction } = require('@codemirror/state');
+const { cursorLineUp, cursorLineDown, selectLineUp, selectLineDown } = require('@codemirror/commands');
 
 const DEFAULT_SETTINGS = {
     enableAutoScroll: true,
     scrollOnModeSwitch: true,
-    hideScrollbars: true,
+    rememberPositions: false,
+    scrollbarMode: 'hidden',
+    scrollbarAreas: ['everything'],
+    showProgressRail: false,
+    progressRailMarkers: 'sections',
 
     enableTypewriterMode: true,
     restrictToDailyNotes: false,
+    enableStrictMode: false,
+    strictModeAnchor: 'document',
+    strictModeLimit: 'sentence',
+    periodicNoteTypes: ['daily'],
+    onlyCurrentPeriod: true,
     typewriterOffset: 0.5,
+    typewriterPaddingTop: false,
+    typewriterPaddingBottom: false,
 
     useLineBoundaries: false,
     visibleLineCount: 5,
 
     enableContentDimming: true,
+    undimOnSelection: false,
     focusMode: 'paragraph',
     sectionHeaderPattern: '^# ([01]\\d|2[0-3]):[0-5]\\d',
+    headingSectionLevel: 6,
     unfocusedOpacity: 0.25,
+    dimmingStyle: 'opacity',
+    fadeUnit: 'paragraph',
+    fadeSteps: 4,
+    blurRadius: 2,
+
+    sentenceSegmenter: 'heuristic',
+    sentenceLanguage: '',
+    sentenceAbbreviations: [
+        'ru: г, кг, т, л, мл, м, см, мм, км, с, мин, ч, р, руб, коп, тыс, млн, млрд, г-н, проф, док, канд, акад, ооо, оао, зао',
+        'en: mr, mrs, ms, dr, prof, inc, ltd, corp, co, vs, e.g, i.e'
+    ].join('\n'),
 
     enableSmoothScrolling: true,
     smoothScrollDuration: 250,
+    scrollEasing: 'ease-out',
 
     enableCursorScrolling: false,
-    cursorScrollingSensitivity: 20
+    cursorScrollingSensitivity: 20,
+    cursorScrollingInertiaDamping: 0.5,
+    cursorScrollingBypassModifier: 'alt',
+
+    showStatusBarItem: true,
+
+    zenModeFullscreen: false,
+    zenModeLineWidth: 0,
+
+    enableReadingViewFocus: false,
+    scrollCommandsInReadingView: false,
+    pageScrollFraction: 0.8,
+    pageScrollMovesCursor: true,
+
+    autoScrollRules: [
+        { type: 'daily-note', value: '', target: 'bottom', heading: '' }
+    ],
+
+    profiles: []
+};
+
+const FOCUS_MODES = [
+    { id: 'paragraph', name: 'Paragraph' },
+    { id: 'sentence', name: 'Sentence' },
+    { id: 'section', name: 'Section' },
+    { id: 'line', name: 'Line' },
+    { id: 'heading', name: 'Heading section' },
+    { id: 'list-item', name: 'List item' },
+    { id: 'blockquote', name: 'Blockquote or callout' },
+    { id: 'code-block', name: 'Code block' }
+];
+
+const CYCLED_FOCUS_MODES = ['paragraph', 'sentence', 'section', 'line'];
+
+const STRICT_MODE_ANCHORS = [
+    { id: 'document', name: 'End of note' },
+    { id: 'section', name: 'End of current section' }
+];
+
+const STRICT_MODE_LIMITS = [
+    { id: 'sentence', name: 'Current sentence' },
+    { id: 'paragraph', name: 'Current paragraph' },
+    { id: 'none', name: 'Nothing' }
+];
+
+const STRICT_MODE_NOTICE_INTERVAL_MS = 3000;
+
+const ZEN_MODE_OVERRIDES = {
+    enableTypewriterMode: true,
+    enableContentDimming: true
 };
 
-module.exports = class ScrollerPlugin extends Plugin {
-    async onload() {
-        await this.loadSettings();
+const DIMMING_STYLES = [
+    { id: 'opacity', name: 'Flat opacity' },
+    { id: 'fade', name: 'Fade with distance' },
+    { id: 'blur', name: 'Blur' },
+    { id: 'grayscale', name: 'Grayscale' }
+];
+
+const FADE_UNITS = [
+    { id: 'paragraph', name: 'Paragraph' },
+    { id: 'line', name: 'Line' }
+];
+
+const FADE_SCAN_LIMIT = 200;
+
+const BLOCK_WIDGET_SELECTOR = ':scope > .cm-embed-block, :scope > .internal-embed';
+
+const PROFILE_OVERRIDES = {
+    enableTypewriterMode: { name: 'Typewriter mode', frontmatterKey: 'scroller-typewriter', type: 'boolean' },
+    enableStrictMode: { name: 'Strict drafting mode', frontmatterKey: 'scroller-strict', type: 'boolean' },
+    useLineBoundaries: { name: 'Line boundaries', frontmatterKey: 'scroller-line-boundaries', type: 'boolean' },
+    typewriterOffset: { name: 'Typewriter line position', frontmatterKey: 'scroller-offset', type: 'percent' },
+    visibleLineCount: { name: 'Visible line count', frontmatterKey: 'scroller-visible-lines', type: 'integer' },
+    enableContentDimming: { name: 'Focus mode', frontmatterKey: 'scroller-dimming', type: 'boolean' },
+    focusMode: { name: 'Focus area', frontmatterKey: 'scroller-focus', type: 'focusMode' },
+    sectionHeaderPattern: { name: 'Section header regex', frontmatterKey: 'scroller-section-pattern', type: 'string' },
+    headingSectionLevel: { name: 'Section heading level', frontmatterKey: 'scroller-heading-level', type: 'headingLevel' },
+    sentenceLanguage: { name: 'Sentence language', frontmatterKey: 'scroller-language', type: 'string' },
+    unfocusedOpacity: { name: 'Unfocused content opacity', frontmatterKey: 'scroller-opacity', type: 'percent' }
+};
+
+const RULE_MATCH_TYPES = [
+    { id: 'daily-note', name: 'Periodic note', placeholder: '' },
+    { id: 'folder', name: 'Folder', placeholder: 'Logs/**' },
+    { id: 'tag', name: 'Tag', placeholder: '#inbox' },
+    { id: 'frontmatter', name: 'Frontmatter key', placeholder: 'type=log' },
+    { id: 'filename', name: 'File name pattern', placeholder: '^Meeting ' }
+];
+
+const SCROLLBAR_MODES = [
+    { id: 'visible', name: 'Show' },
+    { id: 'hidden', name: 'Hide' },
+    { id: 'overlay', name: 'Show while scrolling or hovering' }
+];
+
+const SCROLLBAR_AREAS = [
+    { id: 'editor', name: 'Editor' },
+    { id: 'reading', name: 'Reading view' },
+    { id: 'sidebars', name: 'Sidebars' },
+    { id: 'everything', name: 'Everywhere' }
+];
+
+const SCROLLBAR_REVEAL_MS = 800;
+
+const PROGRESS_RAIL_MARKERS = [
+    { id: 'sections', name: 'Section headers' },
+    { id: 'headings', name: 'All headings' }
+];
+
+const PROGRESS_RAIL_SNAP_DISTANCE = 6;
+
+const WHEEL_BYPASS_MODIFIERS = [
+    { id: 'alt', name: 'Alt', eventKey: 'altKey' },
+    { id: 'ctrl', name: 'Ctrl', eventKey: 'ctrlKey' },
+    { id: 'meta', name: 'Cmd / Win', eventKey: 'metaKey' },
+    { id: 'none', name: 'None', eventKey: null }
+];
+
+const WHEEL_GESTURE_GAP_MS = 80;
+
+const EDIT_USER_EVENTS = ['input', 'delete', 'paste', 'undo', 'redo'];
+
+const MAX_REMEMBERED_FILES = 500;
+
+const STRUCTURE_CHUNK_SIZE = 256;
+
+const PERIODIC_NOTE_TYPES = [
+    { id: 'daily', name: 'Daily notes', unit: 'day', defaultFormat: 'YYYY-MM-DD', settingKeys: ['daily', 'day'] },
+    { id: 'weekly', name: 'Weekly notes', unit: 'week', defaultFormat: 'gggg-[W]ww', settingKeys: ['weekly', 'week'] },
+    { id: 'monthly', name: 'Monthly notes', unit: 'month', defaultFormat: 'YYYY-MM', settingKeys: ['monthly', 'month'] },
+    { id: 'quarterly', name: 'Quarterly notes', unit: 'quarter', defaultFormat: 'YYYY-[Q]Q', settingKeys: ['quarterly', 'quarter'] },
+    { id: 'yearly', name: 'Yearly notes', unit: 'year', defaultFormat: 'YYYY', settingKeys: ['yearly', 'year'] }
+];
+
+const AUTO_SCROLL_TARGETS = [
+    { id: 'bottom', name: 'Bottom' },
+    { id: 'top', name: 'Top' },
+    { id: 'last-edit', name: 'Last edited position' },
+    { id: 'remembered', name: 'Remembered position' },
+    { id: 'heading', name: 'Heading' },
+    { id: 'section', name: 'First section header' }
+];
+
+const LIST_ITEM_REGEX = /^\s*(?:[-*+]|\d+[.)])(?:\s|$)/;
+
+const BLOCKQUOTE_REGEX = /^\s{0,3}>/;
+
+const BLOCK_START_REGEX = /^\s{0,3}(?:#{1,6}(?:\s|$)|>|`{3,}|~{3,})/;
+
+const SETEXT_UNDERLINE_REGEX = /^\s{0,3}(=+|-+)\s*$/;
+
+const THEMATIC_BREAK_REGEX = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+
+const SENTENCE_TERMINATOR_REGEX = /[.!?。！？]/;
+
+const PAGE_SCROLL_COMMANDS = [
+    { id: 'scroll-page-up', name: 'Scroll page up', direction: 'up', pages: 1 },
+    { id: 'scroll-page-down', name: 'Scroll page down', direction: 'down', pages: 1 },
+    { id: 'scroll-half-page-up', name: 'Scroll half page up', direction: 'up', pages: 0.5 },
+    { id: 'scroll-half-page-down', name: 'Scroll half page down', direction: 'down', pages: 0.5 }
+];
+
+const SCROLL_EASINGS = [
+    { id: 'ease-out', name: 'Ease out', ease: t => 1 - Math.pow(1 - t, 3) },
+    { id: 'ease-in-out', name: 'Ease in and out', ease: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2 },
+    { id: 'linear', name: 'Linear', ease: t => t },
+    { id: 'spring', name: 'Spring', ease: t => 1 - Math.cos(t * Math.PI * 2.5) * Math.exp(-6 * t) }
+];
+
+const sentenceSegmenterCache = new WeakMap();
+
+const scrollAnimators = new WeakMap();
+
+const documentStructures = new WeakMap();
+
+const structureChunkSummaries = new WeakMap();
+
+function globToRegExp(glob) {
+    let source = '';
+    for (let index = 0; index < glob.length; index++) {
+        const char = glob[index];
+        if (char === '*' && glob[index + 1] === '*') {
+            source += '.*';
+            index++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function parseOverrideValue(descriptor, value) {
+    if (value === null || value === undefined || value === '') return undefined;
+
+    switch (descriptor.type) {
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).trim().toLowerCase();
+            if (['true', 'on', 'yes'].includes(text)) return true;
+            if (['false', 'off', 'no'].includes(text)) return false;
+            return undefined;
+        }
+        case 'percent': {
+            const number = parseFloat(value);
+            if (isNaN(number) || number < 0 || number > 100) return undefined;
+            return number / 100;
+        }
+        case 'integer': {
+            const number = parseInt(value, 10);
+            if (isNaN(number) || number < 0) return undefined;
+            return number;
+        }
+        case 'headingLevel': {
+            const level = parseInt(value, 10);
+            if (isNaN(level) || level < 1 || level > 6) return undefined;
+            return level;
+        }
+        case 'focusMode': {
+            const modeId = String(value).trim().toLowerCase();
+            return FOCUS_MODES.some(mode => mode.id === modeId) ? modeId : undefined;
+        }
+        default:
+            return String(value);
+    }
+}
+
+function formatOverrideValue(descriptor, value) {
+    if (descriptor.type === 'percent') return String(Math.round(value * 100));
+    return String(value);
+}
+
+function findParagraphStart(doc, lineNumber) {
+    for (let lineNum = lineNumber; lineNum >= 1; lineNum--) {
+        const line = doc.line(lineNum);
+        if (line.text.trim().length > 0) {
+            for (let upLineNum = lineNum - 1; upLineNum >= 1; upLineNum--) {
+                const upLine = doc.line(upLineNum);
+                if (upLine.text.trim().length === 0) {
+                    return line;
+                }
+            }
+            return doc.line(1);
+        }
+    }
+    return null;
+}
+
+function findPreviousContentLine(doc, lineNumber) {
+    for (let lineNum = lineNumber - 1; lineNum >= 1; lineNum--) {
+        const line = doc.line(lineNum);
+        if (line.text.trim().length > 0) {
+            return line;
+        }
+    }
+    return null;
+}
+
+function findNextContentLine(doc, lineNumber) {
+    for (let lineNum = lineNumber + 1; lineNum <= doc.lines; lineNum++) {
+        const line = doc.line(lineNum);
+        if (line.text.trim().length > 0) {
+            return line;
+        }
+    }
+    return null;
+}
+
+function parseAbbreviationLists(source) {
+    const lists = {};
+
+    for (const line of String(source || '').split('\n')) {
+        const match = /^\s*([\w-]+)\s*:(.*)$/.exec(line);
+        if (!match) continue;
+
+        const language = match[1].toLowerCase();
+        const entries = match[2]
+            .split(',')
+            .map(entry => entry.trim().toLowerCase().replace(/\.$/, '').replace(/\s+/g, ''))
+            .filter(entry => entry.length > 0);
+        lists[language] = (lists[language] || []).concat(entries);
+    }
+
+    return lists;
+}
+
+function isAbbreviationBefore(text, dotIndex, abbreviations) {
+    if (abbreviations.size === 0) return false;
+
+    const chain = text.substring(0, dotIndex).match(/(?:[\p{L}-]+\.\s?)*[\p{L}-]+$/u);
+    if (!chain) return false;
+
+    const dottedForm = chain[0].replace(/\s+/g, '').toLowerCase();
+    const lastWord = chain[0].match(/[\p{L}-]+$/u)[0].toLowerCase();
+    return abbreviations.has(dottedForm) || abbreviations.has(lastWord);
+}
+
+function findSentenceBoundariesWithIntl(segmenter, abbreviations, text, position) {
+    const boundaries = [];
+
+    for (const { index, segment } of segmenter.segment(text)) {
+        const end = index + segment.length;
+        const trimmedSegment = segment.trimEnd();
+
+        if (end < text.length && trimmedSegment.endsWith('.') &&
+            isAbbreviationBefore(text, index + trimmedSegment.length - 1, abbreviations)) {
+            continue;
+        }
+
+        boundaries.push(end);
+    }
+
+    return selectSentenceAtPosition(boundaries, text, position);
+}
+
+function createSentenceSegmenter(settings) {
+    const locale = (settings.sentenceLanguage || moment.locale() || 'en').trim();
+    const languageCode = locale.split(/[-_]/)[0].toLowerCase();
+    const abbreviationLists = parseAbbreviationLists(settings.sentenceAbbreviations);
+
+    if (settings.sentenceSegmenter === 'intl' && typeof Intl !== 'undefined' && Intl.Segmenter) {
+        let intlSegmenter;
+        try {
+            intlSegmenter = new Intl.Segmenter(locale, { granularity: 'sentence' });
+        } catch (error) {
+            intlSegmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+        }
+
+        const abbreviations = new Set(abbreviationLists[languageCode] || []);
+        return (text, position) => findSentenceBoundariesWithIntl(intlSegmenter, abbreviations, text, position);
+    }
+
+    const abbreviations = new Set([
+        ...(abbreviationLists.ru || []),
+        ...(abbreviationLists.en || []),
+        ...(abbreviationLists[languageCode] || [])
+    ]);
+    return (text, position) => findSentenceBoundaries(text, position, abbreviations);
+}
+
+function getSentenceSegmenter(settings) {
+    let segmenter = sentenceSegmenterCache.get(settings);
+    if (!segmenter) {
+        segmenter = createSentenceSegmenter(settings);
+        sentenceSegmenterCache.set(settings, segmenter);
+    }
+    return segmenter;
+}
+
+function findSentenceBoundaries(text, position, abbreviations) {
+    const boundaries = [];
+
+    for (let i = 0; i < text.length; i++) {
+        if (!SENTENCE_TERMINATOR_REGEX.test(text[i])) continue;
+
+        let endPos = i + 1;
+        while (endPos < text.length && SENTENCE_TERMINATOR_REGEX.test(text[endPos])) {
+            endPos++;
+        }
+
+        while (endPos < text.length && /[)\]}>'"»"'*_~`」』）\s]/.test(text[endPos])) {
+            endPos++;
+        }
+
+        if (endPos >= text.length) {
+            boundaries.push(endPos);
+            break;
+        }
+
+        if (!/\p{L}/u.test(text[endPos])) {
+            continue;
+        }
+
+        if (text[i] === '.' && isAbbreviationBefore(text, i, abbreviations)) {
+            continue;
+        }
+
+        const wordBefore = text.substring(0, i + 1).match(/\S+$/);
+        if (wordBefore) {
+            const word = wordBefore[0];
+
+            if (/\d+\.\d*$/.test(word)) {
+                continue;
+            }
+
+            if (/^\p{L}\p{L}?\.$/u.test(word)) {
+                const wordWithoutDot = word.slice(0, -1);
+
+                if (wordWithoutDot === wordWithoutDot.toUpperCase()) {
+                    const nextCharIndex = i + 1;
+                    let checkIndex = nextCharIndex;
+
+                    while (checkIndex < text.length && /\s/.test(text[checkIndex])) {
+                        checkIndex++;
+                    }
+
+                    if (checkIndex < text.length && /\p{Lu}/u.test(text[checkIndex])) {
+                        continue;
+                    }
+                }
+            }
+
+            if (/v\d+\.\d+\.\d+/i.test(word) || /\d+\.\d+\.\d+/.test(word)) {
+                continue;
+            }
+        }
+
+        boundaries.push(endPos);
+        i = endPos - 1;
+    }
+
+    return selectSentenceAtPosition(boundaries, text, position);
+}
+
+function selectSentenceAtPosition(boundaries, text, position) {
+    let sentenceStart = 0;
+    for (const boundary of boundaries) {
+        if (position < boundary) {
+            return { start: sentenceStart, end: boundary };
+        }
+        sentenceStart = boundary;
+    }
+
+    if (boundaries.length > 0 && position >= boundaries[boundaries.length - 1]) {
+        const lastBoundary = boundaries[boundaries.length - 1];
+        const afterText = text.substring(lastBoundary).trim();
+        if (afterText.length === 0) {
+            const prevBoundary = boundaries.length > 1 ? boundaries[boundaries.length - 2] : 0;
+            return { start: prevBoundary, end: lastBoundary };
+        }
+    }
+
+    return { start: sentenceStart, end: text.length };
+}
+
+function matchCodeFence(text) {
+    const match = /^\s{0,3}(`{3,}|~{3,})/.exec(text);
+    return match ? match[1] : null;
+}
+
+function upperBound(sortedValues, value, getValue = item => item) {
+    let low = 0;
+    let high = sortedValues.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (getValue(sortedValues[middle]) <= value) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+function getSetextHeadingLevel(text, nextText) {
+    if (nextText === null || measureIndent(text) >= 4) return 0;
+
+    const underline = SETEXT_UNDERLINE_REGEX.exec(nextText);
+    if (!underline) return 0;
+
+    if (LIST_ITEM_REGEX.test(text) || BLOCKQUOTE_REGEX.test(text) || THEMATIC_BREAK_REGEX.test(text) ||
+        SETEXT_UNDERLINE_REGEX.test(text)) {
+        return 0;
+    }
+    return underline[1][0] === '=' ? 1 : 2;
+}
+
+function classifyStructureLine(text, from, headerRegex, nextText) {
+    if (text.trim().length === 0) {
+        return { from, blank: true };
+    }
+
+    const fence = matchCodeFence(text);
+    if (fence) {
+        return { from, fence };
+    }
+
+    const headingMatch = /^\s{0,3}(#{1,6})(?:\s|$)/.exec(text);
+    const headingLevel = headingMatch ? headingMatch[1].length : getSetextHeadingLevel(text, nextText);
+    const sectionHeader = !!headerRegex && headerRegex.test(text);
+    if (!headingLevel && !sectionHeader) return null;
+
+    return { from, headingLevel, sectionHeader };
+}
+
+function findFrontmatterEnd(doc) {
+    if (doc.line(1).text.trimEnd() !== '---') return 0;
+
+    for (let lineNumber = 2; lineNumber <= doc.lines; lineNumber++) {
+        const line = doc.line(lineNumber);
+        if (line.text.trimEnd() === '---') return line.to;
+    }
+    return 0;
+}
+
+function prefersReducedMotion() {
+    return typeof window !== 'undefined' &&
+           typeof window.matchMedia === 'function' &&
+           window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+class ScrollAnimator {
+    constructor(scrollContainer) {
+        this.scrollContainer = scrollContainer;
+        this.frameId = null;
+    }
+
+    animateTo(targetTop, duration, easingId) {
+        const { scrollContainer } = this;
+        const maxTop = Math.max(0, scrollContainer.scrollHeight - scrollContainer.clientHeight);
+        const to = Math.max(0, Math.min(targetTop, maxTop));
+        const from = scrollContainer.scrollTop;
+        const animationDuration = prefersReducedMotion() ? 0 : Math.max(0, Number(duration) || 0);
+
+        this.cancel();
+
+        if (Math.abs(to - from) < 1 || animationDuration === 0) {
+            scrollContainer.scrollTop = to;
+            return;
+        }
+
+        const easing = (SCROLL_EASINGS.find(candidate => candidate.id === easingId) || SCROLL_EASINGS[0]).ease;
+        const start = performance.now();
+
+        const step = () => {
+            const progress = Math.max(0, Math.min(1, (performance.now() - start) / animationDuration));
+            scrollContainer.scrollTop = from + (to - from) * easing(progress);
+            this.frameId = progress < 1 ? requestAnimationFrame(step) : null;
+        };
+
+        this.frameId = requestAnimationFrame(step);
+    }
+
+    scrollTo(targetTop, settings) {
+        if (settings.enableSmoothScrolling) {
+            this.animateTo(targetTop, settings.smoothScrollDuration, settings.scrollEasing);
+        } else {
+            this.cancel();
+            this.scrollContainer.scrollTop = targetTop;
+        }
+    }
+
+    cancel() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+}
+
+function getScrollAnimator(scrollContainer) {
+    let animator = scrollAnimators.get(scrollContainer);
+    if (!animator) {
+        animator = new ScrollAnimator(scrollContainer);
+        scrollAnimators.set(scrollContainer, animator);
+    }
+    return animator;
+}
+
+function splitStructureChunks(entries) {
+    const chunks = [];
+    for (let index = 0; index < entries.length; index += STRUCTURE_CHUNK_SIZE) {
+        chunks.push({ entries: entries.slice(index, index + STRUCTURE_CHUNK_SIZE), offset: 0 });
+    }
+    return chunks;
+}
+
+function summarizeStructureChunk(entries, openFence) {
+    const cached = structureChunkSummaries.get(entries);
+    if (cached && cached.openFenceBefore === openFence) return cached;
+
+    const summary = {
+        openFenceBefore: openFence,
+        openFenceAfter: null,
+        sectionHeaders: [],
+        headings: [],
+        blankLines: [],
+        codeBlockStarts: [],
+        codeBlockEnds: []
+    };
+
+    for (const entry of entries) {
+        if (entry.blank) {
+            summary.blankLines.push(entry.from);
+        } else if (entry.fence) {
+            if (!openFence) {
+                openFence = entry.fence;
+                summary.codeBlockStarts.push(entry.from);
+            } else if (entry.fence[0] === openFence[0] && entry.fence.length >= openFence.length) {
+                openFence = null;
+                summary.codeBlockEnds.push(entry.from);
+            }
+        } else if (!openFence) {
+            if (entry.sectionHeader) summary.sectionHeaders.push(entry.from);
+            if (entry.headingLevel) summary.headings.push({ from: entry.from, level: entry.headingLevel });
+        }
+    }
+
+    summary.openFenceAfter = openFence;
+    structureChunkSummaries.set(entries, summary);
+    return summary;
+}
+
+function getStructureItemFrom(item) {
+    return typeof item === 'number' ? item : item.from;
+}
+
+function offsetStructureItem(item, offset) {
+    if (offset === 0) return item;
+    return typeof item === 'number' ? item + offset : Object.assign({}, item, { from: item.from + offset });
+}
+
+// Entries are kept in chunks that carry a position offset, so an edit only
+// rescans the chunks it touches and shifts the ones after it.
+class DocumentStructure {
+    constructor(doc, sectionHeaderPattern, chunks = null, frontmatterEnd = null) {
+        this.pattern = sectionHeaderPattern;
+        this.headerRegex = compileRegExp(sectionHeaderPattern);
+        this.chunks = chunks || splitStructureChunks(this.scanLines(doc, 1, doc.lines));
+        this.frontmatterEnd = frontmatterEnd === null ? findFrontmatterEnd(doc) : frontmatterEnd;
+        this.summaries = null;
+        this.lists = new Map();
+    }
+
+    scanLines(doc, fromLine, toLine) {
+        const entries = [];
+        let line = doc.line(fromLine);
+        for (let lineNumber = fromLine; lineNumber <= toLine; lineNumber++) {
+            const nextLine = lineNumber < doc.lines ? doc.line(lineNumber + 1) : null;
+            const entry = classifyStructureLine(line.text, line.from, this.headerRegex, nextLine && nextLine.text);
+            if (entry) entries.push(entry);
+            line = nextLine;
+        }
+        return entries;
+    }
+
+    findChunkIndex(position) {
+        return upperBound(this.chunks, position, chunk => chunk.entries[0].from + chunk.offset) - 1;
+    }
+
+    update(changes, doc) {
+        const rescanRanges = [];
+        let firstChangeFrom = -1;
+        changes.iterChangedRanges((fromA, toA, fromB, toB) => {
+            if (firstChangeFrom === -1) firstChangeFrom = fromA;
+            const changedLine = doc.lineAt(fromB);
+            const from = changedLine.number > 1 ? doc.line(changedLine.number - 1).from : changedLine.from;
+            const to = doc.lineAt(toB).to;
+            const lastRange = rescanRanges[rescanRanges.length - 1];
+            if (lastRange && from <= lastRange.to + 1) {
+                lastRange.to = Math.max(lastRange.to, to);
+            } else {
+                rescanRanges.push({ from, to });
+            }
+        });
+        if (firstChangeFrom === -1) return this;
+
+        const lengthChange = changes.newLength - changes.length;
+        const firstChunk = Math.max(0, this.findChunkIndex(rescanRanges[0].from));
+        let lastChunk = Math.max(firstChunk, this.findChunkIndex(rescanRanges[rescanRanges.length - 1].to - lengthChange));
+        let affectedCount = 0;
+        for (let index = firstChunk; index <= lastChunk && index < this.chunks.length; index++) {
+            affectedCount += this.chunks[index].entries.length;
+        }
+        if (affectedCount < STRUCTURE_CHUNK_SIZE / 2 && lastChunk + 1 < this.chunks.length) {
+            lastChunk++;
+        }
+
+        const entries = [];
+        let rangeIndex = 0;
+        const scanRange = (range) => {
+            entries.push(...this.scanLines(doc, doc.lineAt(range.from).number, doc.lineAt(range.to).number));
+        };
+
+        for (const chunk of this.chunks.slice(firstChunk, lastChunk + 1)) {
+            for (const chunkEntry of chunk.entries) {
+                const from = changes.mapPos(chunkEntry.from + chunk.offset, -1);
+
+                while (rangeIndex < rescanRanges.length && rescanRanges[rangeIndex].to < from) {
+                    scanRange(rescanRanges[rangeIndex++]);
+                }
+
+                const range = rescanRanges[rangeIndex];
+                if (range && from >= range.from && from <= range.to) continue;
+
+                entries.push(from === chunkEntry.from ? chunkEntry : Object.assign({}, chunkEntry, { from }));
+            }
+        }
+
+        while (rangeIndex < rescanRanges.length) {
+            scanRange(rescanRanges[rangeIndex++]);
+        }
+
+        const chunks = this.chunks.slice(0, firstChunk).concat(
+            splitStructureChunks(entries),
+            this.chunks.slice(lastChunk + 1).map(chunk => ({ entries: chunk.entries, offset: chunk.offset + lengthChange }))
+        );
+        const frontmatterEnd = firstChangeFrom <= this.frontmatterEnd ||
+            (this.frontmatterEnd === 0 && doc.line(1).text.trimEnd() === '---')
+            ? findFrontmatterEnd(doc)
+            : this.frontmatterEnd;
+
+        return new DocumentStructure(doc, this.pattern, chunks, frontmatterEnd);
+    }
+
+    getSummaries() {
+        if (this.summaries) return this.summaries;
+
+        let openFence = null;
+        this.summaries = this.chunks.map(chunk => {
+            const summary = summarizeStructureChunk(chunk.entries, openFence);
+            openFence = summary.openFenceAfter;
+            return summary;
+        });
+        return this.summaries;
+    }
+
+    getMinimumFrom(kind) {
+        return kind === 'headings' || kind === 'sectionHeaders' ? this.frontmatterEnd : 0;
+    }
+
+    findPrevious(kind, position, predicate = null) {
+        const summaries = this.getSummaries();
+        const minimumFrom = this.getMinimumFrom(kind);
+
+        for (let chunkIndex = this.findChunkIndex(position); chunkIndex >= 0; chunkIndex--) {
+            const { offset } = this.chunks[chunkIndex];
+            const items = summaries[chunkIndex][kind];
+            for (let index = upperBound(items, position - offset, getStructureItemFrom) - 1; index >= 0; index--) {
+                const item = offsetStructureItem(items[index], offset);
+                if (getStructureItemFrom(item) < minimumFrom) return null;
+                if (!predicate || predicate(item)) return item;
+            }
+        }
+        return null;
+    }
+
+    findNext(kind, position, predicate = null) {
+        const summaries = this.getSummaries();
+        const after = Math.max(position, this.getMinimumFrom(kind) - 1);
+
+        for (let chunkIndex = Math.max(0, this.findChunkIndex(after)); chunkIndex < this.chunks.length; chunkIndex++) {
+            const { offset } = this.chunks[chunkIndex];
+            const items = summaries[chunkIndex][kind];
+            for (let index = upperBound(items, after - offset, getStructureItemFrom); index < items.length; index++) {
+                const item = offsetStructureItem(items[index], offset);
+                if (!predicate || predicate(item)) return item;
+            }
+        }
+        return null;
+    }
+
+    getList(kind) {
+        if (this.lists.has(kind)) return this.lists.get(kind);
+
+        const summaries = this.getSummaries();
+        const minimumFrom = this.getMinimumFrom(kind);
+        const list = [];
+        this.chunks.forEach((chunk, chunkIndex) => {
+            for (const item of summaries[chunkIndex][kind]) {
+                const shiftedItem = offsetStructureItem(item, chunk.offset);
+                if (getStructureItemFrom(shiftedItem) >= minimumFrom) list.push(shiftedItem);
+            }
+        });
+
+        this.lists.set(kind, list);
+        return list;
+    }
+
+    getSectionHeaders() {
+        return this.getList('sectionHeaders');
+    }
+
+    getHeadings() {
+        return this.getList('headings');
+    }
+
+    getBlankLines() {
+        return this.getList('blankLines');
+    }
+
+    isSectionHeader(lineFrom) {
+        return this.findPrevious('sectionHeaders', lineFrom) === lineFrom;
+    }
+
+    isHeading(lineFrom) {
+        const heading = this.findPrevious('headings', lineFrom);
+        return heading !== null && heading.from === lineFrom;
+    }
+}
+
+function findHeadingSectionRange(doc, position, structure, boundaryLevel) {
+    const sectionHeading = structure.findPrevious('headings', position, heading => heading.level <= boundaryLevel);
+
+    if (!sectionHeading) {
+        const firstHeading = structure.findNext('headings', -1, heading => heading.level <= boundaryLevel);
+        if (!firstHeading) return null;
+        return { from: 0, to: firstHeading.from };
+    }
+
+    const nextHeading = structure.findNext('headings', sectionHeading.from, heading => heading.level <= sectionHeading.level);
+    return { from: sectionHeading.from, to: nextHeading ? nextHeading.from : doc.length };
+}
+
+function findParagraphStarts(doc, blankLines) {
+    const blankLineSet = new Set(blankLines);
+    const paragraphStarts = [];
+
+    for (const candidate of [0, ...blankLines.map(from => doc.lineAt(from).to + 1)]) {
+        if (candidate > doc.length || blankLineSet.has(candidate)) continue;
+        if (paragraphStarts[paragraphStarts.length - 1] !== candidate) {
+            paragraphStarts.push(candidate);
+        }
+    }
+
+    return paragraphStarts;
+}
+
+function startsSentenceBlock(line, structure) {
+    return structure.isHeading(line.from) ||
+           /^\s*(?:[-*+]|\d+[.)])\s/.test(line.text) ||
+           matchCodeFence(line.text) !== null ||
+           structure.isSectionHeader(line.from);
+}
+
+function findSentenceBlock(doc, lineNumber, structure) {
+    let startLine = doc.line(lineNumber);
+    let endLine = startLine;
+
+    while (startLine.number > 1 && !startsSentenceBlock(startLine, structure)) {
+        const previousLine = doc.line(startLine.number - 1);
+        if (previousLine.text.trim().length === 0 || structure.isSectionHeader(previousLine.from) ||
+            matchCodeFence(previousLine.text) !== null) {
+            break;
+        }
+        startLine = previousLine;
+    }
+
+    while (endLine.number < doc.lines) {
+        const nextLine = doc.line(endLine.number + 1);
+        if (nextLine.text.trim().length === 0 || startsSentenceBlock(nextLine, structure)) {
+            break;
+        }
+        endLine = nextLine;
+    }
+
+    return { from: startLine.from, to: endLine.to };
+}
+
+function compileRegExp(pattern) {
+    try {
+        return new RegExp(pattern);
+    } catch (error) {
+        return null;
+    }
+}
+
+function findSelectionFocusRanges(doc, selection, settings, structure) {
+    const focusRanges = [];
+
+    for (const range of selection.ranges) {
+        const endPosition = !range.empty && doc.lineAt(range.to).from === range.to ? range.to - 1 : range.to;
+        const startRange = findFocusRange(doc, range.from, settings, structure);
+        const endRange = endPosition === range.from ? startRange : findFocusRange(doc, endPosition, settings, structure);
+        if (!startRange || !endRange) return null;
+
+        const from = range.empty ? startRange.from : Math.min(startRange.from, range.from);
+        const to = range.empty ? startRange.to : Math.max(endRange.to, range.to);
+        if (from < to) {
+            focusRanges.push({ from, to });
+        }
+    }
+
+    focusRanges.sort((a, b) => a.from - b.from);
+
+    const mergedRanges = [];
+    for (const focusRange of focusRanges) {
+        const previous = mergedRanges[mergedRanges.length - 1];
+        if (previous && focusRange.from <= previous.to) {
+            previous.to = Math.max(previous.to, focusRange.to);
+        } else {
+            mergedRanges.push(focusRange);
+        }
+    }
+
+    return mergedRanges;
+}
+
+function getDocumentStructure(doc, sectionHeaderPattern) {
+    const structure = documentStructures.get(doc);
+    if (structure && structure.pattern === sectionHeaderPattern) return structure;
+    return new DocumentStructure(doc, sectionHeaderPattern);
+}
+
+function findStrictRegion(doc, head, settings, structure) {
+    let regionEnd = doc.length;
+    if (settings.strictModeAnchor === 'section') {
+        const previousHeader = structure.findPrevious('sectionHeaders', head);
+        const nextHeader = structure.findNext('sectionHeaders', head);
+        const sectionStart = previousHeader !== null ? previousHeader : 0;
+        if (nextHeader !== null) {
+            let lastLine = doc.lineAt(Math.max(0, nextHeader - 1));
+            while (lastLine.from > sectionStart && lastLine.text.trim().length === 0) {
+                lastLine = doc.line(lastLine.number - 1);
+            }
+            regionEnd = lastLine.to;
+        }
+    }
+
+    let lastContentLine = doc.lineAt(regionEnd);
+    while (lastContentLine.number > 1 && lastContentLine.text.trim().length === 0) {
+        lastContentLine = doc.line(lastContentLine.number - 1);
+    }
+    const limitPosition = Math.min(lastContentLine.to, regionEnd);
+
+    if (settings.strictModeLimit === 'none') {
+        return { from: limitPosition, to: regionEnd };
+    }
+
+    const limitRange = findFocusRange(doc, limitPosition, { ...settings, focusMode: settings.strictModeLimit }, structure);
+    return { from: limitRange ? Math.min(limitRange.from, limitPosition) : limitPosition, to: regionEnd };
+}
+
+function isLineInFocus(line, focusRanges) {
+    const index = upperBound(focusRanges, line.to, range => range.from) - 1;
+    return index >= 0 && focusRanges[index].to > line.from;
+}
+
+function rangeIntersectsFocus(from, to, focusRanges) {
+    const index = upperBound(focusRanges, to, range => range.from) - 1;
+    return index >= 0 && focusRanges[index].to >= from;
+}
+
+function computeFadeLevels(doc, fromLine, toLine, focusRanges, unit, maxLevel) {
+    const levels = new Map();
+
+    const scan = (startLine, endLine, step) => {
+        let level = maxLevel;
+        let previousBlank = false;
+        for (let number = startLine; number !== endLine + step; number += step) {
+            const line = doc.line(number);
+            const blank = line.text.trim().length === 0;
+            if (isLineInFocus(line, focusRanges)) {
+                level = 0;
+            } else if (unit === 'line' || (previousBlank && !blank)) {
+                level = Math.min(maxLevel, level + 1);
+            }
+            previousBlank = blank;
+
+            if (number >= fromLine && number <= toLine) {
+                const knownLevel = levels.get(number);
+                levels.set(number, knownLevel === undefined ? level : Math.min(knownLevel, level));
+            }
+        }
+    };
+
+    scan(Math.max(1, fromLine - FADE_SCAN_LIMIT), toLine, 1);
+    scan(Math.min(doc.lines, toLine + FADE_SCAN_LIMIT), fromLine, -1);
+    return levels;
+}
+
+function measureIndent(text) {
+    let width = 0;
+    for (const char of text) {
+        if (char === ' ') {
+            width++;
+        } else if (char === '\t') {
+            width += 4 - (width % 4);
+        } else {
+            break;
+        }
+    }
+    return width;
+}
+
+function findListItemRange(doc, position) {
+    const cursorLine = doc.lineAt(position);
+    if (cursorLine.text.trim().length === 0) return null;
+
+    let itemLine = null;
+    let indentLimit = Infinity;
+    for (let lineNum = cursorLine.number; lineNum >= 1; lineNum--) {
+        const line = doc.line(lineNum);
+        if (line.text.trim().length === 0) continue;
+
+        const indent = measureIndent(line.text);
+        if (LIST_ITEM_REGEX.test(line.text)) {
+            if (indent < indentLimit) {
+                itemLine = line;
+                break;
+            }
+        } else if (indent === 0) {
+            const startsParagraph = lineNum === 1 || doc.line(lineNum - 1).text.trim().length === 0;
+            if (startsParagraph || BLOCK_START_REGEX.test(line.text)) return null;
+        } else if (indent < indentLimit) {
+            indentLimit = indent;
+        }
+    }
+    if (!itemLine) return null;
+
+    const itemIndent = measureIndent(itemLine.text);
+    let to = itemLine.to;
+    let previousBlank = false;
+    for (let lineNum = itemLine.number + 1; lineNum <= doc.lines; lineNum++) {
+        const line = doc.line(lineNum);
+        if (line.text.trim().length === 0) {
+            previousBlank = true;
+            continue;
+        }
+
+        const isChild = measureIndent(line.text) > itemIndent;
+        const isLazyContinuation = !previousBlank &&
+                                   !LIST_ITEM_REGEX.test(line.text) &&
+                                   !BLOCK_START_REGEX.test(line.text);
+        if (!isChild && !isLazyContinuation) break;
+
+        to = line.to;
+        previousBlank = false;
+    }
+
+    return { from: itemLine.from, to };
+}
+
+function findBlockquoteRange(doc, position) {
+    const cursorLine = doc.lineAt(position);
+    if (!BLOCKQUOTE_REGEX.test(cursorLine.text)) return null;
+
+    let firstLine = cursorLine.number;
+    let lastLine = cursorLine.number;
+    while (firstLine > 1 && BLOCKQUOTE_REGEX.test(doc.line(firstLine - 1).text)) firstLine--;
+    while (lastLine < doc.lines && BLOCKQUOTE_REGEX.test(doc.line(lastLine + 1).text)) lastLine++;
+
+    return { from: doc.line(firstLine).from, to: doc.line(lastLine).to };
+}
+
+function findCodeBlockRange(doc, position, structure) {
+    const blockStart = structure.findPrevious('codeBlockStarts', position);
+    if (blockStart === null) return null;
+
+    const blockEnd = structure.findNext('codeBlockEnds', blockStart);
+    const to = blockEnd === null ? doc.length : doc.lineAt(blockEnd).to;
+    return position <= to ? { from: blockStart, to } : null;
+}
+
+function findFocusRange(doc, position, settings, structure) {
+    if (settings.focusMode === 'line') {
+        const currentLine = doc.lineAt(position);
+        return { from: currentLine.from, to: currentLine.to };
+    }
+
+    if (!structure || structure.pattern !== settings.sectionHeaderPattern) {
+        structure = new DocumentStructure(doc, settings.sectionHeaderPattern);
+    }
+
+    if (settings.focusMode === 'heading') {
+        return findHeadingSectionRange(doc, position, structure, settings.headingSectionLevel);
+    }
+
+    if (settings.focusMode === 'list-item' || settings.focusMode === 'blockquote' || settings.focusMode === 'code-block') {
+        const codeBlockRange = findCodeBlockRange(doc, position, structure);
+        let blockRange = null;
+        if (settings.focusMode === 'code-block') {
+            blockRange = codeBlockRange;
+        } else if (!codeBlockRange) {
+            blockRange = settings.focusMode === 'list-item'
+                ? findListItemRange(doc, position)
+                : findBlockquoteRange(doc, position);
+        }
+        return blockRange || findFocusRange(doc, position, { ...settings, focusMode: 'paragraph' }, structure);
+    }
+
+    const headerRegex = structure.headerRegex;
+
+    if (settings.focusMode === 'sentence') {
+        if (!headerRegex) return null;
+        const findSentence = getSentenceSegmenter(settings);
+        const cursorLine = doc.lineAt(position);
+
+        if (cursorLine.text.trim().length === 0) {
+            for (let lineNum = cursorLine.number - 1; lineNum >= 1; lineNum--) {
+                const line = doc.line(lineNum);
+                if (line.text.trim().length === 0) continue;
+
+                if (structure.isSectionHeader(line.from)) {
+                    return { from: line.from, to: line.to };
+                }
+                break;
+            }
+
+            return { from: cursorLine.from, to: cursorLine.from };
+        }
+
+        if (structure.isSectionHeader(cursorLine.from)) {
+            const nextContentLine = findNextContentLine(doc, cursorLine.number);
+            if (nextContentLine && !structure.isSectionHeader(nextContentLine.from)) {
+                const block = findSentenceBlock(doc, nextContentLine.number, structure);
+                const sentence = findSentence(doc.sliceString(block.from, block.to), 0);
+                return { from: cursorLine.from, to: block.from + sentence.end };
+            }
+            return { from: cursorLine.from, to: cursorLine.to };
+        }
+
+        const block = findSentenceBlock(doc, cursorLine.number, structure);
+        const sentence = findSentence(doc.sliceString(block.from, block.to), position - block.from);
+        let sentenceStart = block.from + sentence.start;
+        const sentenceEnd = block.from + sentence.end;
+
+        if (sentence.start === 0) {
+            const previousContentLine = findPreviousContentLine(doc, doc.lineAt(block.from).number);
+            if (previousContentLine && structure.isSectionHeader(previousContentLine.from)) {
+                sentenceStart = previousContentLine.from;
+            }
+        }
+
+        return { from: sentenceStart, to: sentenceEnd };
+    }
+
+    if (settings.focusMode === 'paragraph') {
+        if (!headerRegex) return null;
+        let paragraphLine = doc.lineAt(position);
+
+        if (paragraphLine.text.trim().length === 0) {
+            paragraphLine = findPreviousContentLine(doc, paragraphLine.number);
+            if (!paragraphLine) return null;
+        }
+
+        const previousBlankLine = structure.findPrevious('blankLines', paragraphLine.from);
+        const nextBlankLine = structure.findNext('blankLines', paragraphLine.from);
+        const paragraphStart = previousBlankLine !== null ? doc.lineAt(previousBlankLine).to + 1 : 0;
+        const paragraphEnd = nextBlankLine !== null ? nextBlankLine - 1 : doc.length;
+        let focusStart = paragraphStart;
+
+        const startLineNum = doc.lineAt(paragraphStart).number;
+        if (startLineNum > 1) {
+            const prevLine = doc.line(startLineNum - 1);
+            if (structure.isSectionHeader(prevLine.from)) {
+                focusStart = prevLine.from;
+            }
+        }
+
+        return { from: focusStart, to: paragraphEnd };
+    }
+
+    if (settings.focusMode === 'section') {
+        if (!headerRegex) return null;
+
+        const previousHeader = structure.findPrevious('sectionHeaders', position);
+        const nextHeader = structure.findNext('sectionHeaders', position);
+        if (previousHeader === null && nextHeader === null) return null;
+
+        const currentSectionStart = previousHeader !== null ? previousHeader : 0;
+        const currentSectionEnd = nextHeader !== null ? nextHeader : doc.length;
+
+        return { from: currentSectionStart, to: currentSectionEnd };
+    }
+
+    const currentLine = doc.lineAt(position);
+    return { from: currentLine.from, to: currentLine.to };
+}
+
+module.exports = class ScrollerPlugin extends Plugin {
+    async onload() {
+        this.effectiveSettingsCache = new Map();
+        this.periodicNoteCache = new Map();
+        this.periodicNoteCacheDay = null;
+        this.readingViewControllers = new Map();
+        this.zenModeState = null;
+        this.lastStrictModeNoticeTime = 0;
+        this.scrollbarRevealTimers = new Map();
+        this.api = this.createApi();
+        this.filePositions = {};
+        this.lastEdits = new Map();
+        this.requestSaveFilePositions = debounce(() => this.savePluginData(), 2000, true);
+        await this.loadSettings();
+        this.lastFocusMode = this.settings.focusMode;
+
+        this.addCommand({
+            id: 'scroll-to-bottom',
+            name: 'Scroll to bottom',
+            checkCallback: (checking) => {
+                const activeFile = this.app.workspace.getActiveFile();
+                if (checking) {
+                    return !!activeFile;
+                }
+                this.ensureEditModeAndScroll('bottom');
+                return true;
+            }
+        });
+
+        this.addCommand({
+            id: 'scroll-to-top',
+            name: 'Scroll to top',
+            checkCallback: (checking) => {
+                const activeFile = this.app.workspace.getActiveFile();
+                if (checking) {
+                    return !!activeFile;
+                }
+                this.ensureEditModeAndScroll('top');
+                return true;
+            }
+        });
+
+        for (const command of PAGE_SCROLL_COMMANDS) {
+            this.addCommand({
+                id: command.id,
+                name: command.name,
+                checkCallback: (checking) => {
+                    const markdownView = this.app.workspace.getActiveViewOfType(MarkdownView);
+                    const canScroll = !!markdownView &&
+                        (markdownView.getMode() === 'source' || this.settings.scrollCommandsInReadingView);
+                    if (checking) {
+                        return canScroll;
+                    }
+                    this.scrollActiveViewByPage(markdownView, command.direction, command.pages);
+                    return true;
+                }
+            });
+        }
+
+        this.addCommand({
+            id: 'go-to-next-heading',
+            name: 'Go to next heading',
+            editorCallback: (editor) => this.navigateStructure(editor, 'heading', 1)
+        });
+
+        this.addCommand({
+            id: 'go-to-previous-heading',
+            name: 'Go to previous heading',
+            editorCallback: (editor) => this.navigateStructure(editor, 'heading', -1)
+        });
+
+        this.addCommand({
+            id: 'go-to-next-section',
+            name: 'Go to next section',
+            editorCallback: (editor) => this.navigateStructure(editor, 'section', 1)
+        });
+
+        this.addCommand({
+            id: 'go-to-previous-section',
+            name: 'Go to previous section',
+            editorCallback: (editor) => this.navigateStructure(editor, 'section', -1)
+        });
+
+        this.addCommand({
+            id: 'go-to-next-paragraph',
+            name: 'Go to next paragraph',
+            editorCallback: (editor) => this.navigateStructure(editor, 'paragraph', 1)
+        });
+
+        this.addCommand({
+            id: 'go-to-previous-paragraph',
+            name: 'Go to previous paragraph',
+            editorCallback: (editor) => this.navigateStructure(editor, 'paragraph', -1)
+        });
+
+        this.addCommand({
+            id: 'toggle-typewriter-mode',
+            name: 'Toggle typewriter mode',
+            callback: () => this.toggleSetting('enableTypewriterMode')
+        });
+
+        this.addCommand({
+            id: 'toggle-strict-mode',
+            name: 'Toggle strict drafting mode',
+            callback: () => this.toggleStrictMode()
+        });
+
+        this.addCommand({
+            id: 'toggle-zen-mode',
+            name: 'Toggle zen mode',
+            callback: () => this.toggleZenMode()
+        });
+
+        this.addCommand({
+            id: 'toggle-focus-mode',
+            name: 'Toggle focus mode',
+            callback: () => this.toggleSetting('enableContentDimming')
+        });
+
+        this.addCommand({
+            id: 'cycle-focus-area',
+            name: 'Cycle focus area',
+            callback: () => this.cycleFocusMode()
+        });
+
+        this.addCommand({
+            id: 'toggle-line-boundaries',
+            name: 'Toggle line boundaries',
+            callback: () => this.toggleSetting('useLineBoundaries')
+        });
+
+        this.addRibbonIcon('text-cursor-input', 'Toggle typewriter mode', () => {
+            this.toggleSetting('enableTypewriterMode');
+        });
+
+        this.addRibbonIcon('focus', 'Toggle focus mode', () => {
+            this.toggleSetting('enableContentDimming');
+        });
+
+        this.statusBarItem = this.addStatusBarItem();
+        this.statusBarItem.addClass('mod-clickable', 'scroller-status-bar-item');
+        this.registerDomEvent(this.statusBarItem, 'click', (event) => this.showModeMenu(event));
+
+        this.registerEvent(
+            this.app.workspace.on('active-leaf-change', () => {
+                this.updateStatusBar();
+                this.notifyFocusModeChange();
+            })
+        );
+
+        this.registerEvent(
+            this.app.workspace.on('layout-change', () => this.syncReadingViewControllers())
+        );
+
+        this.registerEvent(
+            this.app.workspace.on('file-open', () => this.syncReadingViewControllers())
+        );
+
+        this.registerEvent(
+            this.app.workspace.on('file-open', (file) => {
+                const target = this.getFileOpenTarget(file);
+                if (target) {
+                    this.ensureEditModeAndScroll(target);
+                } else {
+                    this.restoreRememberedPosition(file);
+                }
+            })
+        );
+
+        this.registerEvent(
+            this.app.workspace.on('active-leaf-change', (leaf) => {
+                if (!this.settings.enableAutoScroll || !leaf || !leaf.view) return;
+                const target = this.getAutoScrollTarget(this.app.workspace.getActiveFile());
+                if (!target) return;
+                this.ensureEditModeAndScroll(target);
+            })
+        );
+
+        if (this.settings.scrollOnModeSwitch) {
+            this.registerEvent(
+                this.app.workspace.on('layout-change', () => {
+                    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
+                    if (activeView && activeView.getMode() === 'source') {
+                        this.scrollToPosition(activeView.editor, 'bottom');
+                    }
+                })
+            );
+        }
+
+        this.registerEvent(
+            this.app.metadataCache.on('changed', (file) => {
+                this.invalidateEffectiveSettings(file.path);
+            })
+        );
+
+        this.registerEvent(
+            this.app.vault.on('delete', (file) => {
+                this.lastEdits.delete(file.path);
+                if (!this.filePositions[file.path]) return;
+                delete this.filePositions[file.path];
+                this.requestSaveFilePositions();
+            })
+        );
+
+        this.registerEvent(
+            this.app.vault.on('rename', (file, oldPath) => {
+                if (this.lastEdits.has(oldPath)) {
+                    this.lastEdits.set(file.path, this.lastEdits.get(oldPath));
+                    this.lastEdits.delete(oldPath);
+                }
+                if (this.filePositions[oldPath]) {
+                    this.filePositions[file.path] = this.filePositions[oldPath];
+                    delete this.filePositions[oldPath];
+                    this.requestSaveFilePositions();
+                }
+
+                this.effectiveSettingsCache.clear();
+                this.periodicNoteCache.clear();
+                this.updateStatusBar();
+                this.notifyFocusModeChange();
+                this.app.workspace.updateOptions();
+            })
+        );
+
+        this.registerDomEvent(document, 'scroll', (event) => {
+            if (this.settings.scrollbarMode === 'overlay') {
+                this.revealScrollbar(event.target === document ? document.scrollingElement : event.target);
+            }
+        }, { capture: true, passive: true });
+
+        this.registerObsidianProtocolHandler('scroller', (params) => this.handleScrollerUri(params));
+
+        this.registerEditorExtension([this.createEditorExtension(), this.createStrictModeFilter()]);
+        this.addSettingTab(new ScrollerSettingTab(this.app, this));
+        this.updateDynamicStyles();
+        this.updateStatusBar();
+        this.app.workspace.onLayoutReady(() => this.syncReadingViewControllers());
+    }
+
+    createStrictModeFilter() {
+        return EditorState.transactionFilter.of(transaction => {
+            if (!transaction.docChanged && !transaction.selection) return transaction;
+
+            const isUserEvent = transaction.annotation(Transaction.userEvent) !== undefined;
+            if (transaction.docChanged && !isUserEvent) return transaction;
+
+            const { startState } = transaction;
+            const editorInfo = startState.field(editorInfoField, false);
+            const file = editorInfo ? editorInfo.file : null;
+            const settings = this.getEffectiveSettings(file);
+            if (!settings.enableStrictMode || !this.shouldApplyTypewriterFeatures(file)) return transaction;
+
+            const startHead = startState.selection.main.head;
+            const regionHead = isUserEvent ? startHead : transaction.selection.main.head;
+            const structure = getDocumentStructure(startState.doc, settings.sectionHeaderPattern);
+            const region = findStrictRegion(startState.doc, regionHead, settings, structure);
+
+            let reachesBack = false;
+            transaction.changes.iterChangedRanges((fromA, toA) => {
+                if (fromA < region.from || toA > region.to) reachesBack = true;
+            });
+            if (reachesBack) {
+                this.showStrictModeNotice();
+                if (startHead < region.from || startHead > region.to) {
+                    return { selection: EditorSelection.cursor(region.to), scrollIntoView: true };
+                }
+                return [];
+            }
+
+            if (!transaction.selection) return transaction;
+
+            const regionFrom = transaction.changes.mapPos(region.from, -1);
+            const regionTo = transaction.changes.mapPos(region.to, 1);
+            const clamp = position => Math.max(regionFrom, Math.min(regionTo, position));
+            const { selection } = transaction;
+            if (selection.ranges.every(range => clamp(range.anchor) === range.anchor && clamp(range.head) === range.head)) {
+                return transaction;
+            }
+
+            const clampedSelection = EditorSelection.create(
+                selection.ranges.map(range => EditorSelection.range(clamp(range.anchor), clamp(range.head))),
+                selection.mainIndex
+            );
+            return [transaction, { selection: clampedSelection, sequential: true }];
+        });
+    }
+
+    showStrictModeNotice() {
+        const now = Date.now();
+        if (now - this.lastStrictModeNoticeTime < STRICT_MODE_NOTICE_INTERVAL_MS) return;
+
+        this.lastStrictModeNoticeTime = now;
+        new Notice('Strict drafting mode only lets you write forward. Turn it off to edit earlier text.');
+    }
+
+    createApi() {
+        return {
+            focusModes: FOCUS_MODES.map(mode => mode.id),
+            getFocusRange: (view) => this.getFocusRange(view),
+            setFocusMode: (mode) => {
+                if (!FOCUS_MODES.some(focusMode => focusMode.id === mode)) {
+                    throw new Error(`Unknown focus mode: ${mode}`);
+                }
+                return this.setFocusMode(mode);
+            },
+            scrollTo: (file, target) => this.scrollFileTo(file, target),
+            isTypewriterActive: (view) => this.isTypewriterActive(view)
+        };
+    }
+
+    computeFocusRange(state, settings, structure = getDocumentStructure(state.doc, settings.sectionHeaderPattern)) {
+        const focusRanges = findSelectionFocusRanges(state.doc, EditorSelection.create([state.selection.main]), settings, structure);
+        return focusRanges && focusRanges.length > 0 ? focusRanges[0] : null;
+    }
+
+    getFocusRange(view) {
+        if (!(view instanceof MarkdownView)) return null;
+
+        if (view.getMode() === 'preview') {
+            const controller = this.readingViewControllers.get(view);
+            return controller ? controller.focusRange : null;
+        }
+
+        const editorView = view.editor && view.editor.cm;
+        const settings = this.getEffectiveSettings(view.file);
+        if (!editorView || !this.shouldApplyTypewriterFeatures(view.file) || !settings.enableContentDimming) {
+            return null;
+        }
+        return this.computeFocusRange(editorView.state, settings);
+    }
+
+    isTypewriterActive(view) {
+        return view instanceof MarkdownView &&
+               view.getMode() === 'source' &&
+               this.shouldApplyTypewriterFeatures(view.file);
+    }
+
+    async scrollFileTo(file, target, forceEditMode = false) {
+        const targetFile = typeof file === 'string'
+            ? this.app.vault.getAbstractFileByPath(normalizePath(file))
+            : file;
+        if (!(targetFile instanceof TFile)) {
+            throw new Error(`File not found: ${file}`);
+        }
+
+        const { workspace } = this.app;
+        let leaf = workspace.getLeavesOfType('markdown').find(candidate => candidate.view.file === targetFile);
+        if (!leaf) {
+            leaf = workspace.getLeaf(false);
+            await leaf.openFile(targetFile);
+        }
+        workspace.setActiveLeaf(leaf, { focus: true });
+
+        await this.ensureEditModeAndScroll(target, forceEditMode);
+    }
+
+    async handleScrollerUri(params) {
+        const linkpath = params.file || params.path;
+        const file = linkpath && (
+            this.app.metadataCache.getFirstLinkpathDest(linkpath, '') ||
+            this.app.vault.getAbstractFileByPath(normalizePath(linkpath))
+        );
+        if (!(file instanceof TFile)) {
+            new Notice(`File not found: ${linkpath || ''}`);
+            return;
+        }
+
+        let target = params.to || 'bottom';
+        if (params.line) {
+            target = { type: 'line', line: params.line };
+        } else if (params.heading) {
+            target = { type: 'heading', heading: params.heading };
+        } else if (params.section) {
+            target = { type: 'section', section: params.section };
+        }
+
+        const forceEditMode = ['true', '1', 'yes', 'edit', 'source'].includes(String(params.edit || params.mode || '').toLowerCase());
+        await this.scrollFileTo(file, target, forceEditMode);
+    }
+
+    async toggleZenMode() {
+        if (this.zenModeState) {
+            await this.exitZenMode();
+        } else {
+            await this.enterZenMode();
+        }
+    }
+
+    async enterZenMode() {
+        const { workspace } = this.app;
+        const state = {
+            leftSplitCollapsed: workspace.leftSplit.collapsed,
+            rightSplitCollapsed: workspace.rightSplit.collapsed,
+            enteredFullscreen: false,
+            overrides: Object.assign({}, ZEN_MODE_OVERRIDES)
+        };
+        this.zenModeState = state;
+
+        workspace.leftSplit.collapse();
+        workspace.rightSplit.collapse();
+
+        if (this.settings.zenModeFullscreen && !document.fullscreenElement) {
+            try {
+                await document.documentElement.requestFullscreen();
+                state.enteredFullscreen = true;
+            } catch (error) {
+                new Notice('Could not switch to fullscreen.');
+            }
+        }
+
+        this.refreshSettings();
+    }
+
+    async exitZenMode() {
+        if (!this.zenModeState) return;
+        this.restoreZenModeLayout();
+        this.refreshSettings();
+    }
+
+    restoreZenModeLayout() {
+        const state = this.zenModeState;
+        this.zenModeState = null;
+
+        const { workspace } = this.app;
+        if (!state.leftSplitCollapsed) workspace.leftSplit.expand();
+        if (!state.rightSplitCollapsed) workspace.rightSplit.expand();
+
+        document.body.classList.remove('scroller-zen-mode', 'scroller-zen-line-width');
+        document.body.style.removeProperty('--scroller-zen-line-width');
+
+        if (state.enteredFullscreen && document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }
+
+    async toggleStrictMode() {
+        await this.toggleSetting('enableStrictMode');
+
+        const markdownView = this.app.workspace.getActiveViewOfType(MarkdownView);
+        if (!markdownView || markdownView.getMode() !== 'source' || !markdownView.editor.cm) return;
+
+        const settings = this.getEffectiveSettings(markdownView.file);
+        if (!settings.enableStrictMode) return;
+
+        const { state } = markdownView.editor.cm;
+        const structure = getDocumentStructure(state.doc, settings.sectionHeaderPattern);
+        const region = findStrictRegion(state.doc, state.selection.main.head, settings, structure);
+        this.scrollToPosition(markdownView.editor, region.to);
+    }
+
+    createEditorExtension() {
+        const plugin = this;
+
+        return ViewPlugin.fromClass(class {
+            constructor(view) {
+                this.view = view;
+                this.settings = plugin.getEffectiveSettings(this.getFile());
+                this.structure = new DocumentStructure(view.state.doc, this.settings.sectionHeaderPattern);
+                documentStructures.set(view.state.doc, this.structure);
+                this.pendingScrollUpdate = false;
+                this.focusRanges = null;
+                this.fadeLevels = null;
+                this.lastFocusRange = null;
+                this.progressRail = null;
+                this.typewriterPadding = null;
+                this.decorations = this.buildDecorations(view);
+                this.notifyFocusRangeChange(view.state);
+                this.scheduleBlockDimming();
+                this.syncProgressRail();
+                this.scheduleTypewriterPadding();
+
+                this.wheelAccumulator = 0;
+                this.lastWheelTime = 0;
+                this.lastWheelDelta = 0;
+                this.onWheel = this.onWheel.bind(this);
+                this.view.scrollDOM.addEventListener('wheel', this.onWheel, { passive: false });
+
+                this.userScrollUntil = 0;
+                this.onUserScrollIntent = this.onUserScrollIntent.bind(this);
+                this.onScroll = this.onScroll.bind(this);
+                for (const eventName of ['wheel', 'touchstart', 'pointerdown', 'keydown']) {
+                    this.view.scrollDOM.addEventListener(eventName, this.onUserScrollIntent, { passive: true });
+                }
+                this.view.scrollDOM.addEventListener('scroll', this.onScroll, { passive: true });
+
+                this.scheduleScrollUpdate();
+            }
+
+            destroy() {
+                this.view.scrollDOM.removeEventListener('wheel', this.onWheel);
+                for (const eventName of ['wheel', 'touchstart', 'pointerdown', 'keydown']) {
+                    this.view.scrollDOM.removeEventListener(eventName, this.onUserScrollIntent);
+                }
+                this.view.scrollDOM.removeEventListener('scroll', this.onScroll);
+                getScrollAnimator(this.view.scrollDOM).cancel();
+                if (this.progressRail) {
+                    this.progressRail.destroy();
+                    this.progressRail = null;
+                }
+                this.applyTypewriterPadding(null);
+                for (const block of this.view.contentDOM.querySelectorAll(BLOCK_WIDGET_SELECTOR)) {
+                    block.removeClass('scroller-dimmed-block');
+                    block.style.removeProperty('--scroller-fade-level');
+                }
+            }
+
+            onUserScrollIntent() {
+                this.userScrollUntil = performance.now() + 1000;
+            }
+
+            onScroll() {
+                if (performance.now() > this.userScrollUntil) return;
+                plugin.recordFilePosition(this.getFile(), { scrollTop: this.view.scrollDOM.scrollTop });
+            }
+
+            recordUserPosition(updateTransaction) {
+                const isEdit = updateTransaction.transactions.some(tr =>
+                    tr.docChanged && EDIT_USER_EVENTS.some(event => tr.isUserEvent(event))
+                );
+                const isUserSelection = updateTransaction.transactions.some(tr => tr.selection && tr.isUserEvent('select'));
+                if (!isEdit && !isUserSelection) return;
+
+                const { main } = updateTransaction.state.selection;
+                const position = {
+                    cursor: { anchor: main.anchor, head: main.head },
+                    scrollTop: this.view.scrollDOM.scrollTop
+                };
+
+                if (isEdit) {
+                    updateTransaction.changes.iterChangedRanges((fromA, toA, fromB, toB) => {
+                        position.lastEdit = toB;
+                    });
+                }
+
+                plugin.recordFilePosition(this.getFile(), position);
+            }
+
+            update(updateTransaction) {
+                this.settings = plugin.getEffectiveSettings(this.getFile());
+                this.updateStructure(updateTransaction);
+
+                this.recordUserPosition(updateTransaction);
+
+                const settingsChanged = updateTransaction.transactions.some(tr => tr.reconfigured);
+                const needsDecorationUpdate = updateTransaction.docChanged ||
+                                              updateTransaction.selectionSet ||
+                                              updateTransaction.viewportChanged ||
+                                              settingsChanged;
+                const isPointerSelection = !updateTransaction.state.selection.main.empty &&
+                                           updateTransaction.transactions.some(tr => tr.isUserEvent('select.pointer'));
+                const needsScrollUpdate = (updateTransaction.docChanged || updateTransaction.selectionSet) && !isPointerSelection;
+
+                if (needsDecorationUpdate) {
+                    this.decorations = this.buildDecorations(updateTransaction.view);
+                    this.notifyFocusRangeChange(updateTransaction.state);
+                }
+                if (needsDecorationUpdate || updateTransaction.geometryChanged) {
+                    this.scheduleBlockDimming();
+                    this.syncProgressRail();
+                    this.scheduleTypewriterPadding();
+                }
+                if (needsScrollUpdate) {
+                    this.scheduleScrollUpdate();
+                }
+            }
+
+            getFile() {
+                return plugin.getEditorViewFile(this.view);
+            }
+
+            updateStructure(updateTransaction) {
+                if (this.structure.pattern !== this.settings.sectionHeaderPattern) {
+                    this.structure = new DocumentStructure(updateTransaction.state.doc, this.settings.sectionHeaderPattern);
+                } else if (updateTransaction.docChanged) {
+                    this.structure = this.structure.update(updateTransaction.changes, updateTransaction.state.doc);
+                }
+                documentStructures.set(updateTransaction.state.doc, this.structure);
+            }
+
+            syncProgressRail() {
+                if (!this.settings.showProgressRail) {
+                    if (this.progressRail) {
+                        this.progressRail.destroy();
+                        this.progressRail = null;
+                    }
+                    return;
+                }
+
+                if (!this.progressRail) {
+                    this.progressRail = new ProgressRail(this.view);
+                }
+                this.progressRail.update(this.settings, this.structure, this.shouldApplyTypewriterFeatures());
+            }
+
+            getEditorAttributes() {
+                if (!this.shouldApplyTypewriterFeatures() || !this.settings.enableContentDimming) {
+                    return null;
+                }
+                return {
+                    class: `scroller-dimming-active scroller-dimming-${this.settings.dimmingStyle}`,
+                    style: [
+                        `--scroller-unfocused-opacity: ${this.settings.unfocusedOpacity}`,
+                        `--scroller-fade-steps: ${this.settings.fadeSteps}`,
+                        `--scroller-blur-radius: ${this.settings.blurRadius}px`
+                    ].join('; ')
+                };
+            }
+
+            onWheel(event) {
+                if (!this.settings.enableCursorScrolling || !this.shouldApplyTypewriterFeatures()) {
+                    return;
+                }
+
+                const bypassModifier = WHEEL_BYPASS_MODIFIERS.find(modifier => modifier.id === this.settings.cursorScrollingBypassModifier);
+                if (bypassModifier && bypassModifier.eventKey && event[bypassModifier.eventKey]) {
+                    return;
+                }
+
+                event.preventDefault();
+
+                const wheelDelta = this.normalizeWheelDelta(event);
+                let delta = wheelDelta;
+                const now = performance.now();
+                const continuesGesture = now - this.lastWheelTime < WHEEL_GESTURE_GAP_MS;
+
+                if (!continuesGesture || Math.sign(wheelDelta) !== Math.sign(this.lastWheelDelta)) {
+                    this.wheelAccumulator = 0;
+                } else if (Math.abs(wheelDelta) < Math.abs(this.lastWheelDelta)) {
+                    delta *= 1 - this.settings.cursorScrollingInertiaDamping;
+                }
+
+                this.lastWheelTime = now;
+                this.lastWheelDelta = wheelDelta;
+
+                this.wheelAccumulator += delta;
+                const sensitivity = this.settings.cursorScrollingSensitivity;
+
+                const lineSteps = Math.trunc(this.wheelAccumulator / sensitivity);
+
+                if (lineSteps !== 0) {
+                    const command = event.shiftKey
+                        ? (lineSteps > 0 ? selectLineDown : selectLineUp)
+                        : (lineSteps > 0 ? cursorLineDown : cursorLineUp);
+                    for (let i = 0; i < Math.abs(lineSteps); i++) {
+                        command(this.view);
+                    }
+                    this.wheelAccumulator %= sensitivity;
+                }
+            }
+
+            normalizeWheelDelta(event) {
+                const delta = event.shiftKey && event.deltaY === 0 ? event.deltaX : event.deltaY;
+                if (event.deltaMode === 1) {
+                    return delta * this.view.defaultLineHeight;
+                }
+                if (event.deltaMode === 2) {
+                    return delta * this.view.scrollDOM.clientHeight;
+                }
+                return delta;
+            }
+
+            scheduleScrollUpdate() {
+                if (this.pendingScrollUpdate) return;
+                this.pendingScrollUpdate = true;
+                requestAnimationFrame(() => {
+                    this.applyTypewriterScrolling(this.view);
+                    this.pendingScrollUpdate = false;
+                });
+            }
+
+            shouldApplyTypewriterFeatures() {
+                return plugin.shouldApplyTypewriterFeatures(this.getFile());
+            }
+
+            smoothScrollingEnabled() {
+                if (!this.settings.enableSmoothScrolling) return false;
+                return true;
+            }
+
+            getTypewriterOffset(editorView) {
+                return editorView.dom.clientHeight * this.settings.typewriterOffset;
+            }
+
+            scheduleTypewriterPadding() {
+                this.view.requestMeasure({
+                    key: 'scroller-typewriter-padding',
+                    read: (view) => {
+                        if (!this.shouldApplyTypewriterFeatures() || this.settings.useLineBoundaries) return null;
+                        if (!this.settings.typewriterPaddingTop && !this.settings.typewriterPaddingBottom) return null;
+
+                        const { scrollDOM } = view;
+                        const applied = this.typewriterPadding || { top: 0, bottom: 0 };
+                        const contentStyle = getComputedStyle(view.contentDOM);
+                        const verticalOffset = this.getTypewriterOffset(view);
+                        const documentOffset = view.documentTop - scrollDOM.getBoundingClientRect().top + scrollDOM.scrollTop;
+                        const lastLineTop = documentOffset + view.lineBlockAt(view.state.doc.length).top;
+                        const spaceAbove = documentOffset - applied.top;
+                        const spaceBelow = scrollDOM.scrollHeight - lastLineTop - applied.bottom;
+
+                        return {
+                            top: {
+                                base: parseFloat(contentStyle.paddingTop) - applied.top,
+                                added: this.settings.typewriterPaddingTop ? Math.max(0, verticalOffset - spaceAbove) : 0
+                            },
+                            bottom: {
+                                base: parseFloat(contentStyle.paddingBottom) - applied.bottom,
+                                added: this.settings.typewriterPaddingBottom
+                                    ? Math.max(0, view.dom.clientHeight - verticalOffset - spaceBelow)
+                                    : 0
+                            }
+                        };
+                    },
+                    write: (padding) => this.applyTypewriterPadding(padding)
+                });
+            }
+
+            applyTypewriterPadding(padding) {
+                const { scrollDOM } = this.view;
+                const applied = { top: 0, bottom: 0 };
+                for (const side of ['top', 'bottom']) {
+                    const added = padding ? Math.round(padding[side].added) : 0;
+                    scrollDOM.toggleClass(`scroller-typewriter-padding-${side}`, added > 0);
+                    if (added > 0) {
+                        scrollDOM.style.setProperty(`--scroller-typewriter-padding-${side}`, `${padding[side].base + added}px`);
+                        applied[side] = added;
+                    } else {
+                        scrollDOM.style.removeProperty(`--scroller-typewriter-padding-${side}`);
+                    }
+                }
+                this.typewriterPadding = applied;
+            }
+
+            animateScrollTo(targetTop) {
+                plugin.scrollContainerTo(this.view.scrollDOM, targetTop, this.settings);
+            }
+
+            applyTypewriterScrolling(editorView) {
+                if (!this.shouldApplyTypewriterFeatures()) return;
+
+                const { state } = editorView;
+                const cursorPosition = state.selection.main.head;
+                const editorHeight = editorView.dom.clientHeight;
+                const scrollDOM = editorView.scrollDOM;
+
+                if (this.settings.useLineBoundaries) {
+                    const linesToKeep = this.settings.visibleLineCount;
+                    const lineHeight = editorView.defaultLineHeight;
+                    const cursorCoords = editorView.coordsAtPos(cursorPosition);
+                    if (!cursorCoords) return;
+
+                    const topBoundary = linesToKeep * lineHeight;
+                    const bottomBoundary = editorHeight - (linesToKeep * lineHeight);
+
+                    const containerRect = scrollDOM.getBoundingClientRect();
+                    const currentTop = scrollDOM.scrollTop;
+                    const cursorTopInContainer = cursorCoords.top - containerRect.top + currentTop;
+                    const cursorBottomInContainer = cursorCoords.bottom - containerRect.top + currentTop;
+
+                    if (cursorTopInContainer < topBoundary) {
+                        if (this.smoothScrollingEnabled()) {
+                            this.animateScrollTo(cursorTopInContainer - topBoundary);
+                        } else {
+                            editorView.dispatch({
+                               effects: EditorView.scrollIntoView(cursorPosition, { y: 'start', yMargin: topBoundary })
+                            });
+                        }
+                    } else if (cursorBottomInContainer > bottomBoundary) {
+                        if (this.smoothScrollingEnabled()) {
+                            this.animateScrollTo(cursorBottomInContainer - bottomBoundary);
+                        } else {
+                            editorView.dispatch({
+                               effects: EditorView.scrollIntoView(cursorPosition, { y: 'end', yMargin: editorHeight - bottomBoundary })
+                            });
+                        }
+                    }
+                } else {
+                    const verticalOffset = this.getTypewriterOffset(editorView);
+                    const coords = editorView.coordsAtPos(cursorPosition);
+                    if (!coords) return;
+
+                    const containerRect = scrollDOM.getBoundingClientRect();
+                    const currentTop = scrollDOM.scrollTop;
+                    const cursorTopInContainer = coords.top - containerRect.top + currentTop;
+                    const targetTop = cursorTopInContainer - verticalOffset;
+
+                    if (this.smoothScrollingEnabled()) {
+                        this.animateScrollTo(targetTop);
+                    } else {
+                        editorView.dispatch({
+                            effects: EditorView.scrollIntoView(cursorPosition, {
+                                y: "center",
+                                yMargin: verticalOffset - (editorHeight / 2)
+                            })
+                        });
+                    }
+                }
+            }
+
+            notifyFocusRangeChange(state) {
+                let focusRange = null;
+                if (this.focusRanges) {
+                    focusRange = state.selection.ranges.length === 1
+                        ? this.focusRanges[0] || null
+                        : plugin.computeFocusRange(state, this.settings, this.structure);
+                }
+
+                const previous = this.lastFocusRange;
+                const unchanged = previous === focusRange ||
+                                  (previous && focusRange && previous.from === focusRange.from && previous.to === focusRange.to);
+                if (unchanged) return;
+
+                this.lastFocusRange = focusRange;
+                const file = this.getFile();
+                queueMicrotask(() => plugin.app.workspace.trigger('scroller:focus-range-change', file, focusRange));
+            }
+
+            scheduleBlockDimming() {
+                this.view.requestMeasure({
+                    key: this,
+                    read: (view) => {
+                        const { focusRanges, fadeLevels } = this;
+                        return Array.from(view.contentDOM.querySelectorAll(BLOCK_WIDGET_SELECTOR), block => {
+                            if (!focusRanges) return { block, dimmed: false, level: null };
+
+                            const { from, to } = view.lineBlockAt(view.posAtDOM(block));
+                            const dimmed = !rangeIntersectsFocus(from, to, focusRanges);
+                            const level = dimmed && fadeLevels
+                                ? Math.max(1, fadeLevels.get(view.state.doc.lineAt(from).number) ?? this.settings.fadeSteps)
+                                : null;
+                            return { block, dimmed, level };
+                        });
+                    },
+                    write: (blocks) => {
+                        for (const { block, dimmed, level } of blocks) {
+                            block.toggleClass('scroller-dimmed-block', dimmed);
+                            if (level === null) {
+                                block.style.removeProperty('--scroller-fade-level');
+                            } else {
+                                block.style.setProperty('--scroller-fade-level', level);
+                            }
+                        }
+                    }
+                });
+            }
+
+            getFadeLineDecoration(level) {
+                if (!this.fadeLineDecorations) {
+                    this.fadeLineDecorations = [];
+                }
+                if (!this.fadeLineDecorations[level]) {
+                    this.fadeLineDecorations[level] = Decoration.line({
+                        class: 'scroller-dimmed-line',
+                        attributes: { style: `--scroller-fade-level: ${level}` }
+                    });
+                }
+                return this.fadeLineDecorations[level];
+            }
+
+            buildDecorations(editorView) {
+                this.focusRanges = null;
+                this.fadeLevels = null;
+
+                if (!this.shouldApplyTypewriterFeatures() || !this.settings.enableContentDimming) {
+                    return RangeSet.empty;
+                }
+
+                const { state } = editorView;
+                const { selection } = state;
+                if (this.settings.undimOnSelection && selection.ranges.some(range => !range.empty)) {
+                    return RangeSet.empty;
+                }
+
+                const focusRanges = findSelectionFocusRanges(state.doc, selection, this.settings, this.structure);
+                if (!focusRanges) {
+                    return RangeSet.empty;
+                }
+
+                const decorationBuilder = [];
+                const dimmedDecoration = Decoration.mark({ class: 'scroller-dimmed-content' });
+                const dimmedLineDecoration = Decoration.line({ class: 'scroller-dimmed-line' });
+
+                const { from: viewportFrom, to: viewportTo } = editorView.viewport;
+
+                const addDecoration = (from, to) => {
+                    from = Math.max(from, viewportFrom);
+                    to = Math.min(to, viewportTo);
+                    if (from < to && from >= 0 && to <= state.doc.length) {
+                        decorationBuilder.push(dimmedDecoration.range(from, to));
+                    }
+                };
+
+                let dimmedFrom = 0;
+                for (const focusRange of focusRanges) {
+                    addDecoration(dimmedFrom, focusRange.from);
+                    dimmedFrom = focusRange.to;
+                }
+                addDecoration(dimmedFrom, state.doc.length);
+
+                const fadeLevels = this.settings.dimmingStyle === 'fade'
+                    ? computeFadeLevels(
+                        state.doc,
+                        state.doc.lineAt(viewportFrom).number,
+                        state.doc.lineAt(viewportTo).number,
+                        focusRanges,
+                        this.settings.fadeUnit,
+                        this.settings.fadeSteps
+                    )
+                    : null;
+
+                this.focusRanges = focusRanges;
+                this.fadeLevels = fadeLevels;
+
+                let rangeIndex = 0;
+                for (let pos = viewportFrom; pos <= viewportTo;) {
+                    const line = state.doc.lineAt(pos);
+                    while (rangeIndex < focusRanges.length && focusRanges[rangeIndex].to <= line.from) {
+                        rangeIndex++;
+                    }
+
+                    const isOutsideFocus = rangeIndex >= focusRanges.length || line.to < focusRanges[rangeIndex].from;
+                    if (isOutsideFocus) {
+                        const decoration = fadeLevels
+                            ? this.getFadeLineDecoration(Math.max(1, fadeLevels.get(line.number)))
+                            : dimmedLineDecoration;
+                        decorationBuilder.push(decoration.range(line.from));
+                    }
+                    pos = line.to + 1;
+                }
+
+                try {
+                    return Decoration.set(decorationBuilder, true);
+                } catch (error) {
+                    return RangeSet.empty;
+                }
+            }
+        }, {
+            decorations: viewInstance => viewInstance.decorations,
+            provide: viewPlugin => EditorView.editorAttributes.of(view => {
+                const viewInstance = view.plugin(viewPlugin);
+                return viewInstance ? viewInstance.getEditorAttributes() : null;
+            })
+        });
+    }
+
+    async loadSettings() {
+        const data = Object.assign({}, await this.loadData());
+        this.filePositions = data.filePositions || {};
+        delete data.filePositions;
+        this.pruneFilePositions();
+
+        this.settings = Object.assign({}, DEFAULT_SETTINGS, data);
+        this.settings.profiles = Array.isArray(this.settings.profiles) ? this.settings.profiles.slice() : [];
+        this.settings.autoScrollRules = Array.isArray(this.settings.autoScrollRules)
+            ? this.settings.autoScrollRules.map(rule => Object.assign({}, rule))
+            : [];
+        this.settings.periodicNoteTypes = Array.isArray(this.settings.periodicNoteTypes)
+            ? this.settings.periodicNoteTypes.slice()
+            : DEFAULT_SETTINGS.periodicNoteTypes.slice();
+        this.settings.scrollbarAreas = Array.isArray(this.settings.scrollbarAreas)
+            ? this.settings.scrollbarAreas.slice()
+            : DEFAULT_SETTINGS.scrollbarAreas.slice();
+
+        if (data.scrollbarMode === undefined && data.hideScrollbars === false) {
+            this.settings.scrollbarMode = 'visible';
+        }
+        delete this.settings.hideScrollbars;
+    }
+
+    async savePluginData() {
+        const filePositions = this.settings.rememberPositions ? this.filePositions : {};
+        await this.saveData(Object.assign({}, this.settings, { filePositions }));
+    }
+
+    async saveSettings() {
+        await this.savePluginData();
+        this.refreshSettings();
+    }
+
+    refreshSettings() {
+        this.effectiveSettingsCache.clear();
+        this.periodicNoteCache.clear();
+        this.updateDynamicStyles();
+        this.updateStatusBar();
+        this.notifyFocusModeChange();
+        this.syncReadingViewControllers();
+        this.app.workspace.updateOptions();
+    }
+
+    notifyFocusModeChange() {
+        const file = this.app.workspace.getActiveFile();
+        const { focusMode } = this.getEffectiveSettings(file);
+        if (focusMode === this.lastFocusMode) return;
+
+        this.lastFocusMode = focusMode;
+        this.app.workspace.trigger('scroller:focus-mode-change', focusMode, file);
+    }
+
+    async toggleSetting(key) {
+        const settings = this.getEffectiveSettings(this.app.workspace.getActiveFile());
+        await this.updateModeSettings({ [key]: !settings[key] });
+    }
+
+    async setFocusMode(modeId) {
+        await this.updateModeSettings({ focusMode: modeId, enableContentDimming: true });
+    }
+
+    async cycleFocusMode() {
+        const { focusMode } = this.getEffectiveSettings(this.app.workspace.getActiveFile());
+        const currentIndex = CYCLED_FOCUS_MODES.indexOf(focusMode);
+        await this.setFocusMode(CYCLED_FOCUS_MODES[(currentIndex + 1) % CYCLED_FOCUS_MODES.length]);
+    }
+
+    // Commands, ribbon icons and the status bar menu change the modes the active
+    // note shows, so a setting its profile or frontmatter decides is left alone.
+    // Zen mode keeps the changes to itself until it ends.
+    async updateModeSettings(changes) {
+        if (this.zenModeState) {
+            Object.assign(this.zenModeState.overrides, changes);
+            this.refreshSettings();
+            return;
+        }
+
+        const overriddenKeys = this.getFileOverrideKeys(this.app.workspace.getActiveFile())
+            .filter(key => key in changes);
+        if (overriddenKeys.length > 0) {
+            const names = overriddenKeys.map(key => PROFILE_OVERRIDES[key].name).join(' and ');
+            new Notice(`${names} is set by a profile or the frontmatter of this note.`);
+            return;
+        }
+
+        Object.assign(this.settings, changes);
+        await this.saveSettings();
+    }
 
-        this.addCommand({
-            id: 'scroll-to-bottom',
-            name: 'Scroll to bottom',
-            checkCallback: (checking) => {
-                const activeFile = this.app.workspace.getActiveFile();
-                if (checking) {
-                    return !!activeFile;
-                }
-                this.ensureEditModeAndScroll('bottom');
-                return true;
-            }
-        });
+    updateStatusBar() {
+        if (!this.statusBarItem) return;
 
-        this.addCommand({
-            id: 'scroll-to-top',
-            name: 'Scroll to top',
-            checkCallback: (checking) => {
-                const activeFile = this.app.workspace.getActiveFile();
-                if (checking) {
-                    return !!activeFile;
-                }
-                this.ensureEditModeAndScroll('top');
-                return true;
+        this.statusBarItem.toggleClass('scroller-setting-hidden', !this.settings.showStatusBarItem);
+
+        const settings = this.getEffectiveSettings(this.app.workspace.getActiveFile());
+        const parts = [];
+
+        if (!settings.enableTypewriterMode) {
+            parts.push('Typewriter off');
+        } else {
+            parts.push(settings.useLineBoundaries ? 'Line boundaries' : 'Typewriter');
+            if (settings.enableContentDimming) {
+                const focusMode = FOCUS_MODES.find(mode => mode.id === settings.focusMode);
+                parts.push(`${focusMode ? focusMode.name : settings.focusMode} focus`);
             }
-        });
+        }
 
-        if (this.settings.enableAutoScroll) {
-            this.registerEvent(
-                this.app.workspace.on('file-open', (file) => {
-                    if (!this.isActiveFileDailyNote()) return;
-                    this.ensureEditModeAndScroll('bottom');
-                })
-            );
+        this.statusBarItem.setText(parts.join(' · '));
+        this.statusBarItem.setAttribute('aria-label', 'Scroller mode');
+    }
 
-            this.registerEvent(
-                this.app.workspace.on('active-leaf-change', (leaf) => {
-                    if (!leaf || !leaf.view || !this.isActiveFileDailyNote()) return;
-                    this.ensureEditModeAndScroll('bottom');
-                })
-            );
+    showModeMenu(event) {
+        const menu = new Menu();
+        const file = this.app.workspace.getActiveFile();
+        const settings = this.getEffectiveSettings(file);
+        const overriddenKeys = this.zenModeState ? [] : this.getFileOverrideKeys(file);
+        const isOverridden = keys => keys.some(key => overriddenKeys.includes(key));
+
+        menu.addItem(item => item
+            .setTitle('Typewriter mode')
+            .setChecked(settings.enableTypewriterMode)
+            .setDisabled(isOverridden(['enableTypewriterMode']))
+            .onClick(() => this.toggleSetting('enableTypewriterMode')));
+
+        menu.addItem(item => item
+            .setTitle('Line boundaries')
+            .setChecked(settings.useLineBoundaries)
+            .setDisabled(isOverridden(['useLineBoundaries']))
+            .onClick(() => this.toggleSetting('useLineBoundaries')));
+
+        menu.addItem(item => item
+            .setTitle('Focus mode')
+            .setChecked(settings.enableContentDimming)
+            .setDisabled(isOverridden(['enableContentDimming']))
+            .onClick(() => this.toggleSetting('enableContentDimming')));
+
+        menu.addSeparator();
+
+        for (const mode of FOCUS_MODES) {
+            menu.addItem(item => item
+                .setTitle(mode.name)
+                .setChecked(settings.enableContentDimming && settings.focusMode === mode.id)
+                .setDisabled(isOverridden(['focusMode', 'enableContentDimming']))
+                .onClick(() => this.setFocusMode(mode.id)));
         }
 
-        if (this.settings.scrollOnModeSwitch) {
-            this.registerEvent(
-                this.app.workspace.on('layout-change', () => {
-                    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
-                    if (activeView && activeView.getMode() === 'source') {
-                        this.scrollToPosition(activeView.editor, 'bottom');
-                    }
-                })
-            );
+        if (isOverridden(['enableTypewriterMode', 'useLineBoundaries', 'enableContentDimming', 'focusMode'])) {
+            menu.addSeparator();
+            menu.addItem(item => item
+                .setTitle('Greyed out modes are set by a profile or the frontmatter of this note')
+                .setDisabled(true));
         }
 
-        this.registerEditorExtension(this.createEditorExtension());
-        this.addSettingTab(new ScrollerSettingTab(this.app, this));
-        this.updateDynamicStyles();
+        if (this.zenModeState) {
+            menu.addSeparator();
+            menu.addItem(item => item
+                .setTitle('Changes last until zen mode ends')
+                .setDisabled(true));
+        }
+
+        menu.showAtMouseEvent(event);
     }
 
-    createEditorExtension() {
-        const plugin = this;
+    getEffectiveSettings(file) {
+        if (!file && !this.zenModeState) return this.settings;
 
-        return ViewPlugin.fromClass(class {
-            constructor(view) {
-                this.view = view;
-                this.pendingScrollUpdate = false;
-                this.decorations = this.buildDecorations(view);
-                this.anim = null;
+        const path = file ? file.path : null;
+        let effectiveSettings = this.effectiveSettingsCache.get(path);
+        if (!effectiveSettings) {
+            effectiveSettings = this.resolveEffectiveSettings(file);
+            this.effectiveSettingsCache.set(path, effectiveSettings);
+        }
+        return effectiveSettings;
+    }
 
-                this.wheelAccumulator = 0;
-                this.onWheel = this.onWheel.bind(this);
-                this.view.scrollDOM.addEventListener('wheel', this.onWheel, { passive: false });
+    resolveEffectiveSettings(file) {
+        const effectiveSettings = Object.assign({}, this.settings);
+        if (file) {
+            this.applyFileOverrides(effectiveSettings, file);
+        }
+        if (this.zenModeState) {
+            Object.assign(effectiveSettings, this.zenModeState.overrides);
+        }
+        return effectiveSettings;
+    }
 
-                this.scheduleScrollUpdate();
+    getFileOverrideKeys(file) {
+        const overrides = {};
+        if (file) this.applyFileOverrides(overrides, file);
+        return Object.keys(overrides);
+    }
+
+    applyFileOverrides(effectiveSettings, file) {
+        const fileCache = this.app.metadataCache.getFileCache(file);
+
+        for (const profile of this.settings.profiles) {
+            if (this.fileMatchesRule(profile, file, fileCache)) {
+                this.applyOverrides(effectiveSettings, profile.overrides);
             }
+        }
 
-            destroy() {
-                this.view.scrollDOM.removeEventListener('wheel', this.onWheel);
+        const frontmatter = fileCache && fileCache.frontmatter;
+        if (frontmatter) {
+            const frontmatterOverrides = {};
+            for (const [key, descriptor] of Object.entries(PROFILE_OVERRIDES)) {
+                frontmatterOverrides[key] = frontmatter[descriptor.frontmatterKey];
             }
+            if (frontmatterOverrides.sentenceLanguage === undefined && typeof frontmatter.lang === 'string') {
+                frontmatterOverrides.sentenceLanguage = frontmatter.lang;
+            }
+            this.applyOverrides(effectiveSettings, frontmatterOverrides);
+        }
+    }
 
-            update(updateTransaction) {
-                const needsDecorationUpdate = updateTransaction.docChanged ||
-                                              updateTransaction.selectionSet ||
-                                              updateTransaction.viewportChanged;
-                const needsScrollUpdate = updateTransaction.docChanged || updateTransaction.selectionSet;
+    applyOverrides(targetSettings, overrides) {
+        if (!overrides) return;
 
-                if (needsDecorationUpdate) {
-                    this.decorations = this.buildDecorations(updateTransaction.view);
-                }
-                if (needsScrollUpdate) {
-                    this.scheduleScrollUpdate();
-                }
+        for (const [key, descriptor] of Object.entries(PROFILE_OVERRIDES)) {
+            const value = parseOverrideValue(descriptor, overrides[key]);
+            if (value !== undefined) {
+                targetSettings[key] = value;
             }
+        }
+    }
 
-            onWheel(event) {
-                if (!plugin.settings.enableCursorScrolling || !this.shouldApplyTypewriterFeatures()) {
-                    return;
-                }
+    fileMatchesRule(rule, file, fileCache) {
+        if (rule.type === 'daily-note') {
+            return this.isPeriodicNote(file);
+        }
 
-                event.preventDefault();
+        const matchValue = (rule.value || '').trim();
+        if (!matchValue) return false;
 
-                this.wheelAccumulator += event.deltaY;
-                const sensitivity = plugin.settings.cursorScrollingSensitivity;
+        if (rule.type === 'tag') {
+            const tag = '#' + matchValue.replace(/^#/, '').toLowerCase();
+            const fileTags = fileCache ? (getAllTags(fileCache) || []) : [];
+            return fileTags.some(fileTag => {
+                const normalizedTag = fileTag.toLowerCase();
+                return normalizedTag === tag || normalizedTag.startsWith(tag + '/');
+            });
+        }
 
-                const lineSteps = Math.trunc(this.wheelAccumulator / sensitivity);
+        if (rule.type === 'frontmatter') {
+            const frontmatter = fileCache && fileCache.frontmatter;
+            if (!frontmatter) return false;
 
-                if (lineSteps !== 0) {
-                    const command = lineSteps > 0 ? cursorLineDown : cursorLineUp;
-                    for (let i = 0; i < Math.abs(lineSteps); i++) {
-                        command(this.view);
-                    }
-                    this.wheelAccumulator %= sensitivity;
-                }
+            const separatorIndex = matchValue.indexOf('=');
+            if (separatorIndex === -1) {
+                return frontmatter[matchValue] !== undefined && frontmatter[matchValue] !== null;
             }
 
-            scheduleScrollUpdate() {
-                if (this.pendingScrollUpdate) return;
-                this.pendingScrollUpdate = true;
-                requestAnimationFrame(() => {
-                    this.applyTypewriterScrolling(this.view);
-                    this.pendingScrollUpdate = false;
-                });
-            }
+            const key = matchValue.slice(0, separatorIndex).trim();
+            const expected = matchValue.slice(separatorIndex + 1).trim().toLowerCase();
+            const actual = frontmatter[key];
+            const values = Array.isArray(actual) ? actual : [actual];
+            return values.some(value => value !== undefined && value !== null &&
+                                        String(value).trim().toLowerCase() === expected);
+        }
 
-            shouldApplyTypewriterFeatures() {
-                if (!plugin.settings.enableTypewriterMode) return false;
-                if (plugin.settings.restrictToDailyNotes && !plugin.isActiveFileDailyNote()) {
-                    return false;
-                }
-                return true;
-            }
+        if (rule.type === 'filename') {
+            const filenameRegex = compileRegExp(matchValue);
+            return !!filenameRegex && filenameRegex.test(file.basename);
+        }
 
-            smoothScrollingEnabled() {
-                if (!plugin.settings.enableSmoothScrolling) return false;
-                return true;
+        if (/[*?]/.test(matchValue)) {
+            return globToRegExp(normalizePath(matchValue)).test(file.path);
+        }
+
+        const folder = normalizePath(matchValue);
+        return folder === '/' || file.path.startsWith(folder + '/');
+    }
+
+    getAutoScrollTarget(file) {
+        if (!file) return null;
+
+        const fileCache = this.app.metadataCache.getFileCache(file);
+        const rule = this.settings.autoScrollRules.find(rule => this.fileMatchesRule(rule, file, fileCache));
+        return rule ? { type: rule.target, heading: rule.heading } : null;
+    }
+
+    getFileOpenTarget(file) {
+        if (!file || !this.settings.enableAutoScroll) return null;
+        return this.getAutoScrollTarget(file);
+    }
+
+    restoreRememberedPosition(file) {
+        if (!file || !this.settings.rememberPositions || !this.filePositions[file.path]) return;
+
+        const markdownView = this.app.workspace.getActiveViewOfType(MarkdownView);
+        if (!markdownView || markdownView.file !== file) return;
+
+        if (markdownView.getMode() === 'preview') {
+            this.scrollPreviewToPosition(markdownView, 'remembered');
+        } else {
+            this.scrollToPosition(markdownView.editor, 'remembered');
+        }
+    }
+
+    recordFilePosition(file, position) {
+        if (!file) return;
+
+        if (position.lastEdit !== undefined) {
+            this.lastEdits.set(file.path, position.lastEdit);
+        }
+        if (!this.settings.rememberPositions) return;
+
+        this.filePositions[file.path] = Object.assign({}, this.filePositions[file.path], position, { updated: Date.now() });
+        this.pruneFilePositions();
+        this.requestSaveFilePositions();
+    }
+
+    pruneFilePositions() {
+        const paths = Object.keys(this.filePositions);
+        if (paths.length <= MAX_REMEMBERED_FILES) return;
+
+        paths.sort((a, b) => (this.filePositions[a].updated || 0) - (this.filePositions[b].updated || 0));
+        for (const path of paths.slice(0, paths.length - MAX_REMEMBERED_FILES)) {
+            delete this.filePositions[path];
+        }
+    }
+
+    restoreRememberedScroll(editorView, file) {
+        const remembered = this.filePositions[file.path];
+        if (!remembered || !remembered.cursor) return;
+
+        const docLength = editorView.state.doc.length;
+        editorView.dispatch({
+            selection: {
+                anchor: Math.min(remembered.cursor.anchor, docLength),
+                head: Math.min(remembered.cursor.head, docLength)
             }
+        });
+
+        requestAnimationFrame(() => {
+            this.scrollContainerTo(editorView.scrollDOM, remembered.scrollTop || 0, this.getEffectiveSettings(file));
+        });
+    }
+
+    resolveScrollPosition(doc, file, target) {
+        if (typeof target === 'number') {
+            return Math.max(0, Math.min(target, doc.length));
+        }
+
+        const targetType = typeof target === 'string' ? target : target.type;
+
+        if (targetType === 'top' || targetType === 'bottom') {
+            return targetType;
+        }
+
+        if (targetType === 'line') {
+            const lineNumber = Math.max(1, Math.min(parseInt(target.line, 10) || 1, doc.lines));
+            return doc.line(lineNumber).from;
+        }
 
-            stopAnimation() {
-                if (this.anim && this.anim.rafId) cancelAnimationFrame(this.anim.rafId);
-                this.anim = null;
+        if (targetType === 'last-edit' || targetType === 'remembered') {
+            const remembered = file && this.filePositions[file.path];
+            let position = remembered && (targetType === 'last-edit' ? remembered.lastEdit : remembered.cursor && remembered.cursor.head);
+            if (targetType === 'last-edit' && file && this.lastEdits.has(file.path)) {
+                position = this.lastEdits.get(file.path);
             }
+            return typeof position === 'number' ? Math.min(position, doc.length) : null;
+        }
 
-            animateScrollTo(targetTop) {
-                const scrollDOM = this.view.scrollDOM;
-                const maxTop = Math.max(0, scrollDOM.scrollHeight - scrollDOM.clientHeight);
-                const to = Math.max(0, Math.min(targetTop, maxTop));
-                const from = scrollDOM.scrollTop;
-                const duration = Math.max(0, Number(plugin.settings.smoothScrollDuration) || 0);
-
-                if (Math.abs(to - from) < 1 || duration === 0) {
-                    this.stopAnimation();
-                    scrollDOM.scrollTop = to;
-                    return;
+        const structure = getDocumentStructure(doc, this.getEffectiveSettings(file).sectionHeaderPattern);
+
+        if (targetType === 'section') {
+            const sectionHeaders = structure.getSectionHeaders();
+            const wantedSection = typeof target === 'string' ? '' : (target.section || '').trim().toLowerCase();
+            const sectionHeader = sectionHeaders.find(from => doc.lineAt(from).text.toLowerCase().includes(wantedSection));
+            return sectionHeader === undefined ? null : sectionHeader;
+        }
+
+        if (targetType === 'heading') {
+            const wantedHeading = (target.heading || '').trim().toLowerCase();
+            for (const heading of structure.getHeadings()) {
+                const headingText = doc.lineAt(heading.from).text
+                    .replace(/^\s{0,3}#{1,6}\s*/, '')
+                    .replace(/\s+#+\s*$/, '')
+                    .trim()
+                    .toLowerCase();
+                if (!wantedHeading || headingText === wantedHeading) {
+                    return heading.from;
                 }
+            }
+        }
 
-                this.stopAnimation();
-                const start = performance.now();
-                const ease = t => 1 - Math.pow(1 - t, 3);
-
-                const step = () => {
-                    const now = performance.now();
-                    let p = (now - start) / duration;
-                    if (p < 0) p = 0;
-                    if (p > 1) p = 1;
-                    const val = from + (to - from) * ease(p);
-                    scrollDOM.scrollTop = val;
-                    if (p < 1) {
-                        this.anim = { rafId: requestAnimationFrame(step) };
-                    } else {
-                        this.anim = null;
-                    }
-                };
+        return null;
+    }
+
+    invalidateEffectiveSettings(path) {
+        const previousSettings = this.effectiveSettingsCache.get(path);
+        if (!previousSettings) return;
+
+        this.effectiveSettingsCache.delete(path);
+        const file = this.app.vault.getAbstractFileByPath(path);
+        if (!(file instanceof TFile)) return;
+
+        const currentSettings = this.getEffectiveSettings(file);
+        const changed = Object.keys(PROFILE_OVERRIDES).some(key => previousSettings[key] !== currentSettings[key]);
+        if (changed) {
+            this.updateStatusBar();
+            this.notifyFocusModeChange();
+            this.app.workspace.updateOptions();
+        }
+    }
+
+    shouldApplyTypewriterFeatures(file) {
+        const settings = this.getEffectiveSettings(file);
+        if (!settings.enableTypewriterMode) return false;
+        if (settings.restrictToDailyNotes && !this.isPeriodicNote(file)) {
+            return false;
+        }
+        return true;
+    }
+
+    getEditorViewFile(editorView) {
+        const editorInfo = editorView.state.field(editorInfoField, false);
+        return editorInfo ? editorInfo.file : null;
+    }
+
+    scrollActiveViewByPage(markdownView, direction, pages) {
+        if (markdownView.getMode() === 'source') {
+            this.scrollPageByDirection(markdownView.editor, direction, pages);
+            return;
+        }
+
+        const settings = this.getEffectiveSettings(markdownView.file);
+        const scrollContainer = markdownView.previewMode.containerEl;
+        const pageHeight = scrollContainer.clientHeight * settings.pageScrollFraction * pages;
+        const scrollDistance = direction === 'up' ? -pageHeight : pageHeight;
+        this.scrollContainerTo(scrollContainer, scrollContainer.scrollTop + scrollDistance, settings);
+    }
+
+    scrollPageByDirection(editor, direction, pages = 1) {
+        const editorView = editor.cm;
+        if (editorView && editorView.scrollDOM) {
+            const file = this.getEditorViewFile(editorView);
+            const settings = this.getEffectiveSettings(file);
+            const scrollContainer = editorView.scrollDOM;
+            const pageHeight = scrollContainer.clientHeight * settings.pageScrollFraction * pages;
+            const scrollDistance = direction === 'up' ? -pageHeight : pageHeight;
 
-                this.anim = { rafId: requestAnimationFrame(step) };
+            if (settings.pageScrollMovesCursor) {
+                const selection = editorView.moveVertically(editorView.state.selection.main, direction === 'down', pageHeight);
+                editorView.dispatch({ selection, userEvent: 'select' });
+                if (this.shouldApplyTypewriterFeatures(file)) return;
             }
 
-            applyTypewriterScrolling(editorView) {
-                if (!this.shouldApplyTypewriterFeatures() || !editorView.state.selection.main.empty) return;
+            this.scrollContainerTo(scrollContainer, scrollContainer.scrollTop + scrollDistance, settings);
+        }
+    }
 
-                const { state } = editorView;
-                const cursorPosition = state.selection.main.head;
-                const editorHeight = editorView.dom.clientHeight;
-                const scrollDOM = editorView.scrollDOM;
+    scrollContainerTo(scrollContainer, targetTop, settings = this.settings) {
+        getScrollAnimator(scrollContainer).scrollTo(targetTop, settings);
+    }
 
-                if (plugin.settings.useLineBoundaries) {
-                    const linesToKeep = plugin.settings.visibleLineCount;
-                    const lineHeight = editorView.defaultLineHeight;
-                    const cursorCoords = editorView.coordsAtPos(cursorPosition);
-                    if (!cursorCoords) return;
+    revealScrollbar(element) {
+        if (!(element instanceof HTMLElement)) return;
 
-                    const topBoundary = linesToKeep * lineHeight;
-                    const bottomBoundary = editorHeight - (linesToKeep * lineHeight);
+        element.classList.add('scroller-scrolling');
+        window.clearTimeout(this.scrollbarRevealTimers.get(element));
+        this.scrollbarRevealTimers.set(element, window.setTimeout(() => {
+            element.classList.remove('scroller-scrolling');
+            this.scrollbarRevealTimers.delete(element);
+        }, SCROLLBAR_REVEAL_MS));
+    }
 
-                    const containerRect = scrollDOM.getBoundingClientRect();
-                    const currentTop = scrollDOM.scrollTop;
-                    const cursorTopInContainer = cursorCoords.top - containerRect.top + currentTop;
-                    const cursorBottomInContainer = cursorCoords.bottom - containerRect.top + currentTop;
+    clearScrollbarReveals() {
+        for (const [element, timer] of this.scrollbarRevealTimers) {
+            window.clearTimeout(timer);
+            element.classList.remove('scroller-scrolling');
+        }
+        this.scrollbarRevealTimers.clear();
+    }
 
-                    if (cursorTopInContainer < topBoundary) {
-                        if (this.smoothScrollingEnabled()) {
-                            this.animateScrollTo(cursorTopInContainer - topBoundary);
-                        } else {
-                            editorView.dispatch({
-                               effects: EditorView.scrollIntoView(cursorPosition, { y: 'start', yMargin: topBoundary })
-                            });
-                        }
-                    } else if (cursorBottomInContainer > bottomBoundary) {
-                        if (this.smoothScrollingEnabled()) {
-                            this.animateScrollTo(cursorBottomInContainer - bottomBoundary);
-                        } else {
-                            editorView.dispatch({
-                               effects: EditorView.scrollIntoView(cursorPosition, { y: 'end', yMargin: editorHeight - bottomBoundary })
-                            });
-                        }
-                    }
-                } else {
-                    const verticalOffset = editorHeight * plugin.settings.typewriterOffset;
-                    const coords = editorView.coordsAtPos(cursorPosition);
-                    if (!coords) return;
+    updateDynamicStyles() {
+        for (const mode of SCROLLBAR_MODES) {
+            document.body.classList.toggle(`scroller-scrollbars-${mode.id}`, mode.id === this.settings.scrollbarMode);
+        }
+        for (const area of SCROLLBAR_AREAS) {
+            document.body.classList.toggle(`scroller-scrollbars-in-${area.id}`, this.settings.scrollbarAreas.includes(area.id));
+        }
+        if (this.settings.scrollbarMode !== 'overlay') {
+            this.clearScrollbarReveals();
+        }
+
+        const limitZenLineWidth = !!this.zenModeState && this.settings.zenModeLineWidth > 0;
+        document.body.classList.toggle('scroller-zen-mode', !!this.zenModeState);
+        document.body.classList.toggle('scroller-zen-line-width', limitZenLineWidth);
+        if (limitZenLineWidth) {
+            document.body.style.setProperty('--scroller-zen-line-width', `${this.settings.zenModeLineWidth}px`);
+        } else {
+            document.body.style.removeProperty('--scroller-zen-line-width');
+        }
+    }
+
+    scrollToPosition(editor, position) {
+        if (!editor) return;
+        const editorView = editor.cm;
+        if (!editorView) return;
+
+        const file = this.getEditorViewFile(editorView);
+        const settings = this.getEffectiveSettings(file);
+
+        if (position === 'remembered' && !this.shouldApplyTypewriterFeatures(file)) {
+            this.restoreRememberedScroll(editorView, file);
+            return;
+        }
+
+        const targetPosition = this.resolveScrollPosition(editorView.state.doc, file, position);
+        if (targetPosition === null) return;
+
+        if (targetPosition === 'top') {
+            if (settings.enableSmoothScrolling && settings.enableTypewriterMode) {
+                const scrollContainer = editorView.scrollDOM;
+                this.scrollContainerTo(scrollContainer, 0, settings);
+                editorView.dispatch({
+                    selection: { anchor: 0 }
+                });
+            } else {
+                editorView.dispatch({
+                    selection: { anchor: 0 },
+                    effects: EditorView.scrollIntoView(0, { y: 'start' })
+                });
+            }
+        } else {
+            const targetOffset = targetPosition === 'bottom' ? editorView.state.doc.length : targetPosition;
+
+            if (this.shouldApplyTypewriterFeatures(file)) {
 
-                    const containerRect = scrollDOM.getBoundingClientRect();
-                    const currentTop = scrollDOM.scrollTop;
-                    const cursorTopInContainer = coords.top - containerRect.top + currentTop;
-                    const targetTop = cursorTopInContainer - verticalOffset;
+                editorView.dispatch({
+                    selection: { anchor: targetOffset }
+                });
 
-                    if (this.smoothScrollingEnabled()) {
-                        this.animateScrollTo(targetTop);
+                requestAnimationFrame(() => {
+                    const verticalOffset = editorView.dom.clientHeight * settings.typewriterOffset;
+
+                    if (settings.enableSmoothScrolling) {
+                        const coords = editorView.coordsAtPos(targetOffset);
+                        if (coords) {
+                            const scrollContainer = editorView.scrollDOM;
+                            const containerRect = scrollContainer.getBoundingClientRect();
+                            const currentTop = scrollContainer.scrollTop;
+                            const cursorTopInContainer = coords.top - containerRect.top + currentTop;
+                            const targetTop = cursorTopInContainer - verticalOffset;
+                            this.scrollContainerTo(scrollContainer, targetTop, settings);
+                        }
                     } else {
                         editorView.dispatch({
-                            effects: EditorView.scrollIntoView(cursorPosition, {
-                                y: "center",
-                                yMargin: verticalOffset - (editorHeight / 2)
-                            })
+                            effects: EditorView.scrollIntoView(targetOffset, { y: 'center' })
                         });
                     }
-                }
+                });
+            } else {
+                editorView.dispatch({
+                    selection: { anchor: targetOffset },
+                    effects: EditorView.scrollIntoView(targetOffset, { y: targetPosition === 'bottom' ? 'end' : 'start' })
+                });
             }
+        }
+    }
 
-            findSentenceBoundaries(text, position) {
-                const boundaries = [];
+    getDailyNoteConfiguration() {
+        try {
+            return this.app.internalPlugins.plugins['daily-notes']?.instance?.options;
+        } catch (error) {
+            const vaultConfig = this.app.vault.config;
+            return {
+                format: vaultConfig?.dailyNoteFormat,
+                folder: vaultConfig?.dailyNoteFolder,
+                template: vaultConfig?.dailyNoteTemplate
+            };
+        }
+    }
 
-                for (let i = 0; i < text.length; i++) {
-                    if (!/[.!?]/.test(text[i])) continue;
+    getPeriodicNotesPluginSettings() {
+        const periodicNotes = this.app.plugins?.getPlugin?.('periodic-notes');
+        const settings = periodicNotes?.settings;
+        if (!settings) return null;
 
-                    let endPos = i + 1;
-                    while (endPos < text.length && /[.!?]/.test(text[endPos])) {
-                        endPos++;
-                    }
+        if (Array.isArray(settings.calendarSets)) {
+            return settings.calendarSets.find(set => set.id === settings.activeCalendarSet) ||
+                   settings.calendarSets[0] ||
+                   null;
+        }
+        return settings;
+    }
 
-                    while (endPos < text.length && /[)\]}>'"»"'*_~`\s]/.test(text[endPos])) {
-                        endPos++;
-                    }
+    getPeriodicNoteConfigurations() {
+        const periodicNotesSettings = this.getPeriodicNotesPluginSettings();
+        const configurations = [];
 
-                    if (endPos >= text.length) {
-                        boundaries.push(endPos);
-                        break;
-                    }
+        for (const type of PERIODIC_NOTE_TYPES) {
+            let config = null;
+            if (periodicNotesSettings) {
+                config = type.settingKeys
+                    .map(key => periodicNotesSettings[key])
+                    .find(candidate => candidate && candidate.enabled) || null;
+            }
+            if (!config && type.id === 'daily') {
+                config = this.getDailyNoteConfiguration();
+            }
+            if (!config) continue;
+
+            const format = (config.format || '').trim() || type.defaultFormat;
+            const folder = (config.folder || '').trim();
+            const literalFormat = format.replace(/\[[^\]]*\]/g, '');
+            configurations.push({
+                type: type.id,
+                format,
+                folder: folder && folder !== '/' ? normalizePath(folder) : '',
+                unit: type.id === 'weekly' && /[GW]/.test(literalFormat) ? 'isoWeek' : type.unit
+            });
+        }
 
-                    if (!/\p{L}/u.test(text[endPos])) {
-                        continue;
-                    }
+        return configurations;
+    }
 
-                    const wordBefore = text.substring(0, i + 1).match(/\S+$/);
-                    if (wordBefore) {
-                        const word = wordBefore[0];
+    getPeriodicNoteInfo(file) {
+        if (!file || file.extension !== 'md') return null;
 
-                        if (word.length <= 4 && /^\p{L}+\.$/u.test(word)) {
-                            const wordWithoutDot = word.slice(0, -1).toLowerCase();
+        const path = normalizePath(file.path);
+        for (const configuration of this.getPeriodicNoteConfigurations()) {
+            const prefix = configuration.folder ? `${configuration.folder}/` : '';
+            if (prefix && !path.startsWith(prefix)) continue;
 
-                            const beforeWord = text.substring(0, i + 1 - word.length).match(/\S+\s*$/);
-                            const contextBefore = beforeWord ? beforeWord[0].trim().toLowerCase() : '';
+            const candidates = [path.slice(prefix.length, -('.' + file.extension).length)];
+            if (!configuration.format.includes('/')) {
+                candidates.push(file.basename);
+            }
 
-                            const compoundAbbrevs = {
-                                'д': ['т'],
-                                'п': ['т'],
-                                'э': ['н'],
-                                'ч': ['т'],
-                            };
+            for (const candidate of candidates) {
+                const date = moment(candidate, configuration.format, true);
+                if (date.isValid()) {
+                    return { type: configuration.type, unit: configuration.unit, date };
+                }
+            }
+        }
 
-                            if (compoundAbbrevs[wordWithoutDot] && compoundAbbrevs[wordWithoutDot].includes(contextBefore)) {
-                                continue;
-                            }
+        return null;
+    }
 
-                            const units = ['г', 'кг', 'т', 'л', 'мл', 'м', 'см', 'мм', 'км', 'с', 'мин', 'ч'];
-                            if (units.includes(wordWithoutDot)) {
-                                continue;
-                            }
+    isPeriodicNote(file) {
+        if (!file) return false;
 
-                            const currency = ['р', 'руб', 'коп', '$', '€'];
-                            if (currency.includes(wordWithoutDot)) {
-                                continue;
-                            }
+        const today = moment().format('YYYY-MM-DD');
+        if (this.periodicNoteCacheDay !== today) {
+            this.periodicNoteCache.clear();
+            this.periodicNoteCacheDay = today;
+        }
 
-                            const numbers = ['тыс', 'млн', 'млрд'];
-                            if (numbers.includes(wordWithoutDot)) {
-                                continue;
-                            }
+        let isPeriodic = this.periodicNoteCache.get(file.path);
+        if (isPeriodic === undefined) {
+            const info = this.getPeriodicNoteInfo(file);
+            isPeriodic = !!info &&
+                this.settings.periodicNoteTypes.includes(info.type) &&
+                (!this.settings.onlyCurrentPeriod || info.date.isSame(moment(), info.unit));
+            this.periodicNoteCache.set(file.path, isPeriodic);
+        }
+        return isPeriodic;
+    }
 
-                            const titles = ['г', 'г-н', 'mr', 'mrs', 'ms', 'dr'];
-                            if (titles.includes(wordWithoutDot)) {
-                                continue;
-                            }
+    syncReadingViewControllers() {
+        const previewViews = new Set();
 
-                            const academic = ['проф', 'док', 'канд', 'акад'];
-                            if (academic.includes(wordWithoutDot)) {
-                                continue;
-                            }
+        if (this.settings.enableReadingViewFocus) {
+            for (const leaf of this.app.workspace.getLeavesOfType('markdown')) {
+                const view = leaf.view;
+                if (view instanceof MarkdownView && view.getMode() === 'preview') {
+                    previewViews.add(view);
+                }
+            }
+        }
 
-                            const corporate = ['ооо', 'оао', 'зао', 'inc', 'ltd', 'corp', 'co'];
-                            if (corporate.includes(wordWithoutDot)) {
-                                continue;
-                            }
-                        }
+        for (const [view, controller] of this.readingViewControllers) {
+            if (!previewViews.has(view)) {
+                controller.destroy();
+                this.readingViewControllers.delete(view);
+            }
+        }
 
-                        if (/\d+\.\d*$/.test(word)) {
-                            continue;
-                        }
+        for (const view of previewViews) {
+            const controller = this.readingViewControllers.get(view);
+            if (controller) {
+                controller.scheduleRefresh();
+            } else if (ReadingViewController.isSupported(view)) {
+                this.readingViewControllers.set(view, new ReadingViewController(this, view));
+            }
+        }
+    }
 
-                        if (/^\p{L}\p{L}?\.$/u.test(word)) {
-                            const wordWithoutDot = word.slice(0, -1);
+    scrollPreviewToPosition(markdownView, position) {
+        const doc = Text.of(markdownView.getViewData().split('\n'));
+        const targetPosition = this.resolveScrollPosition(doc, markdownView.file, position);
+        if (targetPosition === null) return;
 
-                            if (wordWithoutDot === wordWithoutDot.toUpperCase()) {
-                                const nextCharIndex = i + 1;
-                                let checkIndex = nextCharIndex;
+        const controller = this.readingViewControllers.get(markdownView);
 
-                                while (checkIndex < text.length && /\s/.test(text[checkIndex])) {
-                                    checkIndex++;
-                                }
+        if (typeof targetPosition === 'number') {
+            const line = doc.lineAt(targetPosition).number - 1;
+            if (!controller || !controller.moveCursorToLine(line)) {
+                markdownView.previewMode.applyScroll(line);
+            }
+            return;
+        }
 
-                                if (checkIndex < text.length && /\p{Lu}/u.test(text[checkIndex])) {
-                                    continue;
-                                }
-                            }
-                        }
+        if (controller && controller.moveCursorToEdge(targetPosition)) {
+            return;
+        }
 
-                        if (/v\d+\.\d+\.\d+/i.test(word) || /\d+\.\d+\.\d+/.test(word)) {
-                            continue;
-                        }
-                    }
+        const scrollContainer = markdownView.previewMode.containerEl;
+        const targetTop = targetPosition === 'top' ? 0 : scrollContainer.scrollHeight;
+        this.scrollContainerTo(scrollContainer, targetTop, this.getEffectiveSettings(markdownView.file));
+    }
 
-                    boundaries.push(endPos);
-                    i = endPos - 1;
-                }
+    navigateStructure(editor, unit, direction) {
+        const editorView = editor && editor.cm;
+        if (!editorView) return;
 
-                let sentenceStart = 0;
-                for (const boundary of boundaries) {
-                    if (position < boundary) {
-                        return { start: sentenceStart, end: boundary };
-                    }
-                    sentenceStart = boundary;
-                }
+        const { doc } = editorView.state;
+        const file = this.getEditorViewFile(editorView);
+        const structure = getDocumentStructure(doc, this.getEffectiveSettings(file).sectionHeaderPattern);
 
-                if (boundaries.length > 0 && position >= boundaries[boundaries.length - 1]) {
-                    const lastBoundary = boundaries[boundaries.length - 1];
-                    const afterText = text.substring(lastBoundary).trim();
-                    if (afterText.length === 0) {
-                        const prevBoundary = boundaries.length > 1 ? boundaries[boundaries.length - 2] : 0;
-                        return { start: prevBoundary, end: lastBoundary };
-                    }
-                }
+        let positions;
+        if (unit === 'heading') {
+            positions = structure.getHeadings().map(heading => heading.from);
+        } else if (unit === 'section') {
+            positions = structure.getSectionHeaders();
+        } else {
+            positions = findParagraphStarts(doc, structure.getBlankLines());
+        }
 
-                return { start: sentenceStart, end: text.length };
-            }
+        const head = editorView.state.selection.main.head;
+        const target = direction > 0
+            ? positions[upperBound(positions, head)]
+            : positions[upperBound(positions, head - 1) - 1];
+        if (target === undefined) return;
 
-            buildDecorations(editorView) {
-                if (!this.shouldApplyTypewriterFeatures() || !plugin.settings.enableContentDimming) {
-                    return RangeSet.empty;
-                }
+        this.scrollToPosition(editor, target);
+    }
 
-                if (!editorView.state.selection.main.empty) {
-                    return RangeSet.empty;
-                }
+    async ensureEditModeAndScroll(position, forceEditMode = false) {
+        let markdownView = this.app.workspace.getActiveViewOfType(MarkdownView);
+        if (!markdownView) return;
 
-                const decorationBuilder = [];
-                const dimmedDecoration = Decoration.mark({ class: 'scroller-dimmed-content' });
-                const { state } = editorView;
-                const cursorPosition = state.selection.main.head;
+        if (!forceEditMode && markdownView.getMode() === 'preview' && this.settings.scrollCommandsInReadingView) {
+            this.scrollPreviewToPosition(markdownView, position);
+            return;
+        }
 
-                const addDecoration = (from, to) => {
-                    if (from < to && from >= 0 && to <= state.doc.length) {
-                        decorationBuilder.push(dimmedDecoration.range(from, to));
-                    }
-                };
+        const viewState = markdownView.getState();
+        if (viewState.mode !== 'source' || viewState.source) {
+            const newViewState = { ...viewState, mode: 'source', source: false };
+            await markdownView.setState(newViewState, { history: false });
+        }
 
-                if (plugin.settings.focusMode === 'sentence') {
-                    let headerRegex;
-                    try {
-                        headerRegex = new RegExp(plugin.settings.sectionHeaderPattern);
-                    } catch (error) {
-                        return RangeSet.empty;
-                    }
+        markdownView.editor.focus();
+        this.scrollToPosition(markdownView.editor, position);
+    }
 
-                    const cursorLine = state.doc.lineAt(cursorPosition);
+    onunload() {
+        this.requestSaveFilePositions.run();
 
-                    if (cursorLine.text.trim().length === 0) {
-                        let shouldHighlightHeader = false;
-                        let headerStart = null;
+        if (this.zenModeState) {
+            this.restoreZenModeLayout();
+        }
 
-                        for (let lineNum = cursorLine.number - 1; lineNum >= 1; lineNum--) {
-                            const line = state.doc.line(lineNum);
-                            if (line.text.trim().length === 0) continue;
+        for (const mode of SCROLLBAR_MODES) {
+            document.body.classList.remove(`scroller-scrollbars-${mode.id}`);
+        }
+        for (const area of SCROLLBAR_AREAS) {
+            document.body.classList.remove(`scroller-scrollbars-in-${area.id}`);
+        }
+        this.clearScrollbarReveals();
 
-                            if (headerRegex.test(line.text)) {
-                                shouldHighlightHeader = true;
-                                headerStart = line.from;
-                            }
-                            break;
-                        }
+        for (const controller of this.readingViewControllers.values()) {
+            controller.destroy();
+        }
+        this.readingViewControllers.clear();
+    }
+}
 
-                        if (shouldHighlightHeader && headerStart !== null) {
-                            addDecoration(0, headerStart);
+class ProgressRail {
+    constructor(view) {
+        this.view = view;
+        this.settings = null;
+        this.structure = null;
+        this.typewriterActive = false;
+        this.markers = [];
+        this.renderedMarkers = '';
+        this.dragging = false;
+
+        this.railEl = view.dom.createDiv({ cls: 'scroller-progress-rail' });
+        this.thumbEl = this.railEl.createDiv({ cls: 'scroller-progress-rail-thumb' });
+        this.markersEl = this.railEl.createDiv({ cls: 'scroller-progress-rail-markers' });
+        view.scrollDOM.addClass('scroller-progress-rail-gutter');
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onScroll = this.onScroll.bind(this);
+        this.railEl.addEventListener('pointerdown', this.onPointerDown);
+        this.railEl.addEventListener('pointermove', this.onPointerMove);
+        this.railEl.addEventListener('pointerup', this.onPointerUp);
+        this.railEl.addEventListener('pointercancel', this.onPointerUp);
+        this.view.scrollDOM.addEventListener('scroll', this.onScroll, { passive: true });
+    }
 
-                            const nextContentLine = this.findNextContentLine(state, cursorLine.number);
-                            let headerEnd;
-                            if (nextContentLine) {
-                                headerEnd = state.doc.line(state.doc.lineAt(headerStart).number).to;
-                            } else {
-                                headerEnd = state.doc.line(state.doc.lineAt(headerStart).number).to;
-                            }
+    destroy() {
+        this.view.scrollDOM.removeEventListener('scroll', this.onScroll);
+        this.view.scrollDOM.removeClass('scroller-progress-rail-gutter');
+        this.railEl.remove();
+    }
 
-                            addDecoration(headerEnd, state.doc.length);
-                        } else {
-                            addDecoration(0, state.doc.length);
-                        }
-                    } else {
-                        let sentenceStart = null;
-                        let sentenceEnd = null;
-
-                        if (headerRegex.test(cursorLine.text)) {
-                            const nextContentLine = this.findNextContentLine(state, cursorLine.number);
-                            if (nextContentLine) {
-                                const sentence = this.findSentenceBoundaries(nextContentLine.text, 0);
-                                sentenceStart = cursorLine.from;
-                                sentenceEnd = nextContentLine.from + sentence.end;
-                            } else {
-                                sentenceStart = cursorLine.from;
-                                sentenceEnd = cursorLine.to;
-                            }
-                        } else {
-                            const cursorPositionInLine = cursorPosition - cursorLine.from;
-                            const sentence = this.findSentenceBoundaries(cursorLine.text, cursorPositionInLine);
-                            sentenceStart = cursorLine.from + sentence.start;
-                            sentenceEnd = cursorLine.from + sentence.end;
-
-                            if (sentence.start === 0) {
-                                let checkLine = cursorLine.number - 1;
-                                while (checkLine >= 1) {
-                                    const line = state.doc.line(checkLine);
-                                    if (line.text.trim().length === 0) {
-                                        checkLine--;
-                                        continue;
-                                    }
-                                    if (headerRegex.test(line.text)) {
-                                        sentenceStart = line.from;
-                                    }
-                                    break;
-                                }
-                            }
-                        }
+    update(settings, structure, typewriterActive) {
+        this.settings = settings;
+        this.structure = structure;
+        this.typewriterActive = typewriterActive;
+        this.scheduleMeasure();
+    }
 
-                        if (sentenceStart !== null && sentenceEnd !== null) {
-                            addDecoration(0, sentenceStart);
-                            addDecoration(sentenceEnd, state.doc.length);
-                        }
-                    }
+    getMarkerPositions() {
+        if (this.settings.progressRailMarkers === 'headings') {
+            return this.structure.getHeadings().map(heading => heading.from);
+        }
+        return this.structure.getSectionHeaders();
+    }
 
-                } else if (plugin.settings.focusMode === 'paragraph') {
-                    let headerRegex;
-                    try {
-                        headerRegex = new RegExp(plugin.settings.sectionHeaderPattern);
-                    } catch (error) {
-                        return RangeSet.empty;
-                    }
+    scheduleMeasure() {
+        this.view.requestMeasure({
+            key: this,
+            read: (view) => {
+                const { scrollDOM } = view;
+                const documentOffset = view.documentTop - scrollDOM.getBoundingClientRect().top + scrollDOM.scrollTop;
+                const positions = this.getMarkerPositions();
+                const activeIndex = upperBound(positions, view.state.selection.main.head) - 1;
+
+                return {
+                    scrollHeight: scrollDOM.scrollHeight,
+                    markers: positions.map((from, index) => ({
+                        from,
+                        top: documentOffset + view.lineBlockAt(from).top,
+                        label: view.state.doc.lineAt(from).text.replace(/^\s{0,3}#{1,6}\s+/, '').trim(),
+                        active: index === activeIndex
+                    }))
+                };
+            },
+            write: (measure) => this.render(measure)
+        });
+    }
 
-                    const cursorLine = state.doc.lineAt(cursorPosition);
-                    let paragraphStart = null;
-                    let paragraphEnd = null;
+    render({ scrollHeight, markers }) {
+        this.markers = markers;
+        this.updateThumb();
+
+        const renderedMarkers = markers.map(marker => `${Math.round(marker.top)}:${marker.active}:${marker.label}`).join('\n');
+        if (renderedMarkers === this.renderedMarkers) return;
+        this.renderedMarkers = renderedMarkers;
+
+        this.markersEl.empty();
+        for (const marker of markers) {
+            const markerEl = this.markersEl.createDiv({ cls: 'scroller-progress-rail-marker' });
+            markerEl.toggleClass('is-active', marker.active);
+            markerEl.style.top = `${scrollHeight > 0 ? (marker.top / scrollHeight) * 100 : 0}%`;
+            if (marker.label) {
+                markerEl.setAttr('aria-label', marker.label);
+                markerEl.setAttr('data-tooltip-position', 'left');
+            }
+        }
+    }
 
-                    if (cursorLine.text.trim().length > 0) {
-                        paragraphStart = cursorLine.from;
-                        paragraphEnd = cursorLine.to;
+    updateThumb() {
+        const { scrollTop, scrollHeight, clientHeight } = this.view.scrollDOM;
+        const scrollable = scrollHeight > clientHeight;
+        this.railEl.toggleClass('is-scrollable', scrollable);
+        this.thumbEl.style.top = `${scrollable ? (scrollTop / scrollHeight) * 100 : 0}%`;
+        this.thumbEl.style.height = `${scrollable ? (clientHeight / scrollHeight) * 100 : 100}%`;
+    }
 
-                        for (let lineNum = cursorLine.number - 1; lineNum >= 1; lineNum--) {
-                            const line = state.doc.line(lineNum);
-                            if (line.text.trim().length === 0) {
-                                break;
-                            }
-                            paragraphStart = line.from;
-                        }
+    onScroll() {
+        this.updateThumb();
+    }
 
-                        for (let lineNum = cursorLine.number + 1; lineNum <= state.doc.lines; lineNum++) {
-                            const line = state.doc.line(lineNum);
-                            if (line.text.trim().length === 0) {
-                                break;
-                            }
-                            paragraphEnd = line.to;
-                        }
+    onPointerDown(event) {
+        if (event.button !== 0) return;
+        event.preventDefault();
 
-                        const startLineNum = state.doc.lineAt(paragraphStart).number;
-                        if (startLineNum > 1) {
-                            const prevLine = state.doc.line(startLineNum - 1);
-                            if (headerRegex.test(prevLine.text)) {
-                                paragraphStart = prevLine.from;
-                            }
-                        }
+        this.dragging = true;
+        this.railEl.setPointerCapture(event.pointerId);
+        this.railEl.addClass('is-dragging');
+        this.scrollToPointer(event);
+    }
 
-                    } else {
-                        for (let lineNum = cursorLine.number - 1; lineNum >= 1; lineNum--) {
-                            const line = state.doc.line(lineNum);
-                            if (line.text.trim().length > 0) {
-                                paragraphEnd = line.to;
-                                paragraphStart = line.from;
-
-                                for (let upLineNum = lineNum - 1; upLineNum >= 1; upLineNum--) {
-                                    const upLine = state.doc.line(upLineNum);
-                                    if (upLine.text.trim().length === 0) {
-                                        break;
-                                    }
-                                    paragraphStart = upLine.from;
-                                }
-
-                                const startLineNum = state.doc.lineAt(paragraphStart).number;
-                                if (startLineNum > 1) {
-                                    const prevLine = state.doc.line(startLineNum - 1);
-                                    if (headerRegex.test(prevLine.text)) {
-                                        paragraphStart = prevLine.from;
-                                    }
-                                }
-
-                                break;
-                            }
-                        }
-                    }
+    onPointerMove(event) {
+        if (!this.dragging) return;
+        this.scrollToPointer(event);
+    }
 
-                    if (paragraphStart !== null && paragraphEnd !== null) {
-                        addDecoration(0, paragraphStart);
-                        addDecoration(paragraphEnd, state.doc.length);
-                    }
+    onPointerUp(event) {
+        if (!this.dragging) return;
 
-                } else if (plugin.settings.focusMode === 'section') {
-                    let headerRegex;
-                    try {
-                        headerRegex = new RegExp(plugin.settings.sectionHeaderPattern);
-                    } catch (error) {
-                        return RangeSet.empty;
-                    }
+        this.dragging = false;
+        if (this.railEl.hasPointerCapture(event.pointerId)) {
+            this.railEl.releasePointerCapture(event.pointerId);
+        }
+        this.railEl.removeClass('is-dragging');
+    }
 
-                    const headerPositions = [];
-                    for (let lineNumber = 1; lineNumber <= state.doc.lines; lineNumber++) {
-                        const line = state.doc.line(lineNumber);
-                        if (headerRegex.test(line.text)) {
-                            headerPositions.push(line.from);
-                        }
-                    }
+    findMarkerNear(offsetY, railHeight, scrollHeight) {
+        let nearest = null;
+        let nearestDistance = PROGRESS_RAIL_SNAP_DISTANCE;
+        for (const marker of this.markers) {
+            const distance = Math.abs((marker.top / scrollHeight) * railHeight - offsetY);
+            if (distance <= nearestDistance) {
+                nearest = marker;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
 
-                    let currentSectionStart = 0;
-                    let currentSectionEnd = state.doc.length;
+    scrollToPointer(event) {
+        const scrollDOM = this.view.scrollDOM;
+        const railRect = this.railEl.getBoundingClientRect();
+        const { scrollHeight, clientHeight } = scrollDOM;
+        if (railRect.height <= 0 || scrollHeight <= clientHeight) return;
+
+        const offsetY = Math.max(0, Math.min(railRect.height, event.clientY - railRect.top));
+        const marker = this.findMarkerNear(offsetY, railRect.height, scrollHeight);
+        let targetTop = (offsetY / railRect.height) * scrollHeight - clientHeight / 2;
+        if (marker) {
+            const useOffset = this.typewriterActive && !this.settings.useLineBoundaries;
+            targetTop = marker.top - (useOffset ? this.view.dom.clientHeight * this.settings.typewriterOffset : 0);
+        }
 
-                    const lastHeaderBeforeCursor = headerPositions.filter(pos => pos <= cursorPosition).pop();
+        getScrollAnimator(scrollDOM).scrollTo(targetTop, this.settings);
+    }
+}
 
-                    if (lastHeaderBeforeCursor !== undefined) {
-                        currentSectionStart = lastHeaderBeforeCursor;
-                        const nextHeaderIndex = headerPositions.findIndex(pos => pos > currentSectionStart);
-                        if (nextHeaderIndex !== -1) {
-                            currentSectionEnd = headerPositions[nextHeaderIndex];
-                        }
-                    } else if (headerPositions.length > 0) {
-                        currentSectionEnd = headerPositions[0];
-                    } else {
-                        return RangeSet.empty;
-                    }
+class ReadingViewController {
+    static isSupported(view) {
+        const previewMode = view.previewMode;
+        return !!(previewMode && previewMode.containerEl && previewMode.renderer &&
+                  Array.isArray(previewMode.renderer.sections));
+    }
 
-                    addDecoration(0, currentSectionStart);
-                    addDecoration(currentSectionEnd, state.doc.length);
+    constructor(plugin, view) {
+        this.plugin = plugin;
+        this.view = view;
+        this.containerEl = view.previewMode.containerEl;
+        this.file = view.file;
+        this.cursorLine = null;
+        this.focusRange = null;
+        this.cachedData = null;
+        this.cachedDoc = null;
+        this.structure = null;
+        this.structureDoc = null;
+        this.pendingRefresh = false;
+        this.ignoreScrollUntil = 0;
+
+        this.addedTabIndex = !this.containerEl.hasAttribute('tabindex');
+        if (this.addedTabIndex) {
+            this.containerEl.setAttribute('tabindex', '-1');
+        }
+        this.containerEl.addClass('scroller-reading-focusable');
 
-                } else {
-                    const currentLine = state.doc.lineAt(cursorPosition);
-                    addDecoration(0, currentLine.from);
-                    addDecoration(currentLine.to, state.doc.length);
-                }
+        this.onScroll = this.onScroll.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.containerEl.addEventListener('scroll', this.onScroll, { passive: true });
+        this.containerEl.addEventListener('keydown', this.onKeyDown);
 
-                try {
-                    return Decoration.set(decorationBuilder.sort((a, b) => a.from - b.from));
-                } catch (error) {
-                    return RangeSet.empty;
-                }
-            }
+        this.observer = new MutationObserver(() => this.scheduleRefresh());
+        this.observer.observe(this.containerEl, { childList: true, subtree: true });
 
-            findParagraphStart(state, lineNumber) {
-                for (let lineNum = lineNumber; lineNum >= 1; lineNum--) {
-                    const line = state.doc.line(lineNum);
-                    if (line.text.trim().length > 0) {
-                        for (let upLineNum = lineNum - 1; upLineNum >= 1; upLineNum--) {
-                            const upLine = state.doc.line(upLineNum);
-                            if (upLine.text.trim().length === 0) {
-                                return line;
-                            }
-                        }
-                        return state.doc.line(1);
-                    }
-                }
-                return null;
-            }
+        this.scheduleRefresh();
+    }
 
-            findPreviousContentLine(state, lineNumber) {
-                for (let lineNum = lineNumber - 1; lineNum >= 1; lineNum--) {
-                    const line = state.doc.line(lineNum);
-                    if (line.text.trim().length > 0) {
-                        return line;
-                    }
-                }
-                return null;
-            }
+    destroy() {
+        this.containerEl.removeEventListener('scroll', this.onScroll);
+        this.containerEl.removeEventListener('keydown', this.onKeyDown);
+        this.observer.disconnect();
 
-            findNextContentLine(state, lineNumber) {
-                for (let lineNum = lineNumber + 1; lineNum <= state.doc.lines; lineNum++) {
-                    const line = state.doc.line(lineNum);
-                    if (line.text.trim().length > 0) {
-                        return line;
-                    }
-                }
-                return null;
-            }
-        }, {
-            decorations: viewInstance => viewInstance.decorations
-        });
+        if (this.addedTabIndex) {
+            this.containerEl.removeAttribute('tabindex');
+        }
+        this.containerEl.removeClass('scroller-reading-focusable');
+        this.containerEl.removeClass('scroller-reading-focus-active');
+        for (const style of DIMMING_STYLES) {
+            this.containerEl.removeClass(`scroller-dimming-${style.id}`);
+        }
+        this.containerEl.style.removeProperty('--scroller-unfocused-opacity');
+        this.containerEl.style.removeProperty('--scroller-blur-radius');
+        for (const section of this.getSections()) {
+            section.el.removeClass('scroller-dimmed-section');
+        }
     }
 
-    async loadSettings() {
-        this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+    getSettings() {
+        return this.plugin.getEffectiveSettings(this.view.file);
     }
 
-    async saveSettings() {
-        await this.saveData(this.settings);
-        this.updateDynamicStyles();
-        this.app.workspace.updateOptions();
+    getDoc() {
+        const data = this.view.getViewData();
+        if (data !== this.cachedData) {
+            this.cachedData = data;
+            this.cachedDoc = Text.of(data.split('\n'));
+        }
+        return this.cachedDoc;
     }
 
-    scrollPageByDirection(editor, direction) {
-        const editorView = editor.cm;
-        if (editorView && editorView.scrollDOM) {
-            const scrollContainer = editorView.scrollDOM;
-            const pageHeight = scrollContainer.clientHeight * 0.8;
-            const scrollDistance = direction === 'up' ? -pageHeight : pageHeight;
-
-            if (this.settings.enableSmoothScrolling && this.settings.enableTypewriterMode) {
-                const currentTop = scrollContainer.scrollTop;
-                const targetTop = currentTop + scrollDistance;
-                this.animateScrollTo(scrollContainer, targetTop);
-            } else {
-                scrollContainer.scrollBy({ top: scrollDistance, behavior: 'smooth' });
-            }
+    getStructure(settings) {
+        const doc = this.getDoc();
+        if (!this.structure || this.structureDoc !== doc || this.structure.pattern !== settings.sectionHeaderPattern) {
+            this.structure = new DocumentStructure(doc, settings.sectionHeaderPattern);
+            this.structureDoc = doc;
         }
+        return this.structure;
     }
 
-    animateScrollTo(scrollContainer, targetTop) {
-        const maxTop = Math.max(0, scrollContainer.scrollHeight - scrollContainer.clientHeight);
-        const to = Math.max(0, Math.min(targetTop, maxTop));
-        const from = scrollContainer.scrollTop;
-        const duration = Math.max(0, Number(this.settings.smoothScrollDuration) || 0);
+    getSections() {
+        const renderer = this.view.previewMode && this.view.previewMode.renderer;
+        if (!renderer || !Array.isArray(renderer.sections)) return [];
+
+        return renderer.sections.filter(section =>
+            section.el instanceof HTMLElement &&
+            typeof section.lineStart === 'number' &&
+            typeof section.lineEnd === 'number' &&
+            !section.el.hasClass('mod-frontmatter') &&
+            !section.el.hasClass('mod-header') &&
+            !section.el.hasClass('mod-footer')
+        );
+    }
 
-        if (Math.abs(to - from) < 1 || duration === 0) {
-            scrollContainer.scrollTop = to;
-            return;
-        }
+    isActive() {
+        return this.plugin.shouldApplyTypewriterFeatures(this.view.file);
+    }
 
-        const start = performance.now();
-        const ease = t => 1 - Math.pow(1 - t, 3);
+    getOffsetY() {
+        const settings = this.getSettings();
+        return this.containerEl.clientHeight * settings.typewriterOffset;
+    }
 
-        const step = () => {
-            const now = performance.now();
-            let p = (now - start) / duration;
-            if (p < 0) p = 0;
-            if (p > 1) p = 1;
-            const val = from + (to - from) * ease(p);
-            scrollContainer.scrollTop = val;
-            if (p < 1) {
-                requestAnimationFrame(step);
+    findSectionAtOffset() {
+        const containerRect = this.containerEl.getBoundingClientRect();
+        const offsetY = containerRect.top + this.getOffsetY();
+        let candidate = null;
+
+        for (const section of this.getSections()) {
+            if (!section.el.isConnected) continue;
+            const rect = section.el.getBoundingClientRect();
+            if (rect.height === 0) continue;
+            if (rect.top > offsetY) {
+                return candidate || section;
             }
-        };
+            candidate = section;
+            if (rect.bottom >= offsetY) break;
+        }
 
-        requestAnimationFrame(step);
+        return candidate;
     }
 
-    updateDynamicStyles() {
-        document.body.classList.toggle('scroller-hide-scrollbars', this.settings.hideScrollbars);
-        document.body.classList.toggle('scroller-enable-dimming', this.settings.enableContentDimming);
-
-        document.body.style.setProperty('--scroller-unfocused-opacity', this.settings.unfocusedOpacity);
+    scheduleRefresh() {
+        if (this.pendingRefresh) return;
+        this.pendingRefresh = true;
+        requestAnimationFrame(() => {
+            this.pendingRefresh = false;
+            this.refresh();
+        });
     }
 
-    scrollToPosition(editor, position) {
-        if (!editor) return;
-        const editorView = editor.cm;
-        if (!editorView) return;
-
-        if (position === 'top') {
-            if (this.settings.enableSmoothScrolling && this.settings.enableTypewriterMode) {
-                const scrollContainer = editorView.scrollDOM;
-                this.animateScrollTo(scrollContainer, 0);
-                editorView.dispatch({
-                    selection: { anchor: 0 }
-                });
-            } else {
-                editorView.dispatch({
-                    selection: { anchor: 0 },
-                    effects: EditorView.scrollIntoView(0, { y: 'start' })
-                });
-            }
-        } else {
-            const documentEnd = editorView.state.doc.length;
+    refresh() {
+        if (this.file !== this.view.file) {
+            this.file = this.view.file;
+            this.cursorLine = null;
+        }
 
-            if (this.settings.enableTypewriterMode &&
-                (!this.settings.restrictToDailyNotes || this.isActiveFileDailyNote())) {
+        if (this.cursorLine === null) {
+            const section = this.findSectionAtOffset();
+            if (section) this.cursorLine = section.lineStart;
+        }
 
-                editorView.dispatch({
-                    selection: { anchor: documentEnd }
-                });
+        this.applyDimming();
+    }
 
-                requestAnimationFrame(() => {
-                    const verticalOffset = editorView.dom.clientHeight * this.settings.typewriterOffset;
+    applyDimming() {
+        const settings = this.getSettings();
+        const sections = this.getSections();
+        const active = this.isActive() && settings.enableContentDimming && this.cursorLine !== null;
 
-                    if (this.settings.enableSmoothScrolling) {
-                        const coords = editorView.coordsAtPos(documentEnd);
-                        if (coords) {
-                            const scrollContainer = editorView.scrollDOM;
-                            const containerRect = scrollContainer.getBoundingClientRect();
-                            const currentTop = scrollContainer.scrollTop;
-                            const cursorTopInContainer = coords.top - containerRect.top + currentTop;
-                            const targetTop = cursorTopInContainer - verticalOffset;
-                            this.animateScrollTo(scrollContainer, targetTop);
-                        }
-                    } else {
-                        editorView.dispatch({
-                            effects: EditorView.scrollIntoView(documentEnd, { y: 'center' })
-                        });
-                    }
-                });
-            } else {
-                editorView.dispatch({
-                    selection: { anchor: documentEnd },
-                    effects: EditorView.scrollIntoView(documentEnd, { y: 'end' })
-                });
+        this.containerEl.toggleClass('scroller-reading-focus-active', active);
+        for (const style of DIMMING_STYLES) {
+            this.containerEl.toggleClass(`scroller-dimming-${style.id}`, style.id === settings.dimmingStyle);
+        }
+        this.containerEl.style.setProperty('--scroller-unfocused-opacity', settings.unfocusedOpacity);
+        this.containerEl.style.setProperty('--scroller-blur-radius', `${settings.blurRadius}px`);
+
+        let focusRange = null;
+        let doc = null;
+        if (active) {
+            doc = this.getDoc();
+            const cursorLineNumber = Math.min(this.cursorLine + 1, doc.lines);
+            focusRange = findFocusRange(doc, doc.line(cursorLineNumber).from, settings, this.getStructure(settings));
+        }
+
+        const previous = this.focusRange;
+        const unchanged = previous === focusRange ||
+                          (previous && focusRange && previous.from === focusRange.from && previous.to === focusRange.to);
+        if (!unchanged) {
+            this.focusRange = focusRange;
+            this.plugin.app.workspace.trigger('scroller:focus-range-change', this.view.file, focusRange);
+        }
+
+        for (const section of sections) {
+            let dimmed = false;
+            if (focusRange) {
+                const from = doc.line(Math.min(section.lineStart + 1, doc.lines)).from;
+                const to = doc.line(Math.min(section.lineEnd + 1, doc.lines)).to;
+                dimmed = focusRange.from === focusRange.to ||
+                         from >= focusRange.to ||
+                         to < focusRange.from;
             }
+            section.el.toggleClass('scroller-dimmed-section', dimmed);
         }
     }
 
-    getDailyNoteConfiguration() {
-        try {
-            return this.app.internalPlugins.plugins['daily-notes']?.instance?.options;
-        } catch (error) {
-            const vaultConfig = this.app.vault.config;
-            return {
-                format: vaultConfig?.dailyNoteFormat,
-                folder: vaultConfig?.dailyNoteFolder,
-                template: vaultConfig?.dailyNoteTemplate
-            };
+    onScroll() {
+        if (performance.now() < this.ignoreScrollUntil) return;
+
+        const section = this.findSectionAtOffset();
+        if (section && section.lineStart !== this.cursorLine) {
+            this.cursorLine = section.lineStart;
+            this.scheduleRefresh();
         }
     }
 
-    getCurrentDailyNotePath() {
-        const dailyNoteConfig = this.getDailyNoteConfiguration();
-        if (!dailyNoteConfig || !dailyNoteConfig.format) return null;
+    onKeyDown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+        if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return;
+        if (!this.isActive()) return;
+
+        const sections = this.getSections();
+        if (sections.length === 0) return;
+
+        event.preventDefault();
+
+        let index = sections.findIndex(section => section.lineStart === this.cursorLine);
+        if (index === -1) {
+            index = 0;
+        } else if (event.key === 'ArrowDown') {
+            index = Math.min(index + 1, sections.length - 1);
+        } else {
+            index = Math.max(index - 1, 0);
+        }
 
-        const todayFilename = moment().format(dailyNoteConfig.format);
-        const notesFolder = dailyNoteConfig.folder || '';
-        const path = `${notesFolder ? notesFolder + '/' : ''}${todayFilename}.md`;
-        return normalizePath(path);
+        this.setCursorSection(sections[index]);
     }
 
-    isActiveFileDailyNote() {
-        const activeFile = this.app.workspace.getActiveFile();
-        if (!activeFile) return false;
+    moveCursorToEdge(position) {
+        const sections = this.getSections();
+        if (sections.length === 0) return false;
 
-        const expectedDailyNotePath = this.getCurrentDailyNotePath();
-        return expectedDailyNotePath &&
-               normalizePath(activeFile.path) === expectedDailyNotePath;
+        this.setCursorSection(position === 'top' ? sections[0] : sections[sections.length - 1]);
+        return true;
     }
 
-    async ensureEditModeAndScroll(position) {
-        let markdownView = this.app.workspace.getActiveViewOfType(MarkdownView);
-        if (!markdownView) return;
+    moveCursorToLine(line) {
+        const sections = this.getSections();
+        const section = sections.find(section => section.lineEnd >= line);
+        if (!section) return false;
 
-        const viewState = markdownView.getState();
-        if (viewState.mode !== 'source' || viewState.source) {
-            const newViewState = { ...viewState, mode: 'source', source: false };
-            await markdownView.setState(newViewState, { history: false });
-        }
+        this.setCursorSection(section);
+        return true;
+    }
 
-        markdownView.editor.focus();
-        this.scrollToPosition(markdownView.editor, position);
+    setCursorSection(section) {
+        this.cursorLine = section.lineStart;
+        this.applyDimming();
+        this.scrollToSection(section);
     }
 
-    onunload() {
-        document.body.classList.remove('scroller-hide-scrollbars', 'scroller-enable-dimming');
-        document.body.style.removeProperty('--scroller-unfocused-opacity');
+    scrollToSection(section) {
+        const settings = this.getSettings();
+
+        if (!section.el.isConnected) {
+            this.view.previewMode.applyScroll(section.lineStart);
+            this.scheduleRefresh();
+            return;
+        }
+
+        const containerRect = this.containerEl.getBoundingClientRect();
+        const sectionTop = section.el.getBoundingClientRect().top - containerRect.top + this.containerEl.scrollTop;
+        const targetTop = sectionTop - this.getOffsetY();
+
+        const scrollDuration = settings.enableSmoothScrolling ? Number(settings.smoothScrollDuration) : 0;
+        this.ignoreScrollUntil = performance.now() + scrollDuration + 50;
+        this.plugin.scrollContainerTo(this.containerEl, targetTop, settings);
     }
 }
 
@@ -841,7 +3369,7 @@ class ScrollerSettingTab extends PluginSettingTab {
 
         new Setting(containerEl)
             .setName('Auto-scroll on file open')
-            .setDesc('Automatically scroll to bottom when opening daily notes or switching between files.')
+            .setDesc('Scroll to the target of the first matching auto-scroll rule when opening a note or switching between files.')
             .addToggle(toggle => toggle
                 .setValue(this.plugin.settings.enableAutoScroll)
                 .onChange(async (value) => {
@@ -849,6 +3377,16 @@ class ScrollerSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        new Setting(containerEl)
+            .setName('Remember cursor position')
+            .setDesc('Restore the cursor and scroll position of notes that no auto-scroll rule covers. Use the «Remembered position» target to restore it for notes that a rule covers. When this is off, last edited positions are only kept until Obsidian is closed.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.rememberPositions)
+                .onChange(async (value) => {
+                    this.plugin.settings.rememberPositions = value;
+                    await this.plugin.saveSettings();
+                }));
+
         new Setting(containerEl)
             .setName('Auto-scroll on mode change')
             .setDesc('Automatically scroll to bottom when switching from reading to editing mode.')
@@ -860,12 +3398,123 @@ class ScrollerSettingTab extends PluginSettingTab {
                 }));
 
         new Setting(containerEl)
-            .setName('Hide scrollbars')
-            .setDesc('Hide scrollbars throughout the Obsidian interface for a cleaner appearance.')
+            .setName('Scroll in reading view')
+            .setDesc('Let scroll commands and auto-scroll work in reading view instead of switching to editing mode.')
             .addToggle(toggle => toggle
-                .setValue(this.plugin.settings.hideScrollbars)
+                .setValue(this.plugin.settings.scrollCommandsInReadingView)
                 .onChange(async (value) => {
-                    this.plugin.settings.hideScrollbars = value;
+                    this.plugin.settings.scrollCommandsInReadingView = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Page scroll distance')
+            .setDesc('Set how much of the visible area the page up and page down commands scroll. The half-page commands scroll half of this distance.')
+            .addSlider(slider => slider
+                .setLimits(10, 100, 5)
+                .setValue(this.plugin.settings.pageScrollFraction * 100)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.pageScrollFraction = value / 100;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Move cursor with page scrolling')
+            .setDesc('Move the cursor by the same distance when scrolling by page, so typewriter mode keeps the active line in place instead of jumping back on the next keystroke.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.pageScrollMovesCursor)
+                .onChange(async (value) => {
+                    this.plugin.settings.pageScrollMovesCursor = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Scrollbars')
+            .setDesc('Hide scrollbars for a cleaner appearance, or show a thin scrollbar only while scrolling or hovering.')
+            .addDropdown(dropdown => {
+                SCROLLBAR_MODES.forEach(mode => dropdown.addOption(mode.id, mode.name));
+                dropdown
+                    .setValue(this.plugin.settings.scrollbarMode)
+                    .onChange(async (value) => {
+                        this.plugin.settings.scrollbarMode = value;
+                        await this.plugin.saveSettings();
+                        this.display();
+                    });
+            });
+
+        SCROLLBAR_AREAS.forEach(area => {
+            const areaSetting = new Setting(containerEl)
+                .setName(area.name)
+                .setDesc(area.id === 'everything'
+                    ? 'Apply the scrollbar option everywhere in Obsidian, including settings and dialogs.'
+                    : `Apply the scrollbar option to the ${area.name.toLowerCase()}.`)
+                .addToggle(toggle => toggle
+                    .setValue(this.plugin.settings.scrollbarAreas.includes(area.id))
+                    .onChange(async (value) => {
+                        const areas = this.plugin.settings.scrollbarAreas.filter(id => id !== area.id);
+                        if (value) areas.push(area.id);
+                        this.plugin.settings.scrollbarAreas = areas;
+                        await this.plugin.saveSettings();
+                    }));
+
+            areaSetting.settingEl.classList.toggle('scroller-setting-hidden', this.plugin.settings.scrollbarMode === 'visible');
+        });
+
+        new Setting(containerEl)
+            .setName('Progress rail')
+            .setDesc('Show a slim rail on the edge of the editor with the current position and a marker for every section. Click or drag along the rail to scroll.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.showProgressRail)
+                .onChange(async (value) => {
+                    this.plugin.settings.showProgressRail = value;
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+
+        const progressRailMarkersSetting = new Setting(containerEl)
+            .setName('Progress rail markers')
+            .setDesc('Mark only the lines matching the section header regex, or every Markdown heading.')
+            .addDropdown(dropdown => {
+                PROGRESS_RAIL_MARKERS.forEach(markers => dropdown.addOption(markers.id, markers.name));
+                dropdown
+                    .setValue(this.plugin.settings.progressRailMarkers)
+                    .onChange(async (value) => {
+                        this.plugin.settings.progressRailMarkers = value;
+                        await this.plugin.saveSettings();
+                    });
+            });
+        progressRailMarkersSetting.settingEl.classList.toggle('scroller-setting-hidden', !this.plugin.settings.showProgressRail);
+
+        new Setting(containerEl)
+            .setName('Zen mode fullscreen')
+            .setDesc('Switch the window to fullscreen when zen mode is turned on.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.zenModeFullscreen)
+                .onChange(async (value) => {
+                    this.plugin.settings.zenModeFullscreen = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Zen mode line width')
+            .setDesc('Limit the width of the text in zen mode, in pixels. Set to 0 to keep the width of your theme.')
+            .addSlider(slider => slider
+                .setLimits(0, 1600, 20)
+                .setValue(this.plugin.settings.zenModeLineWidth)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.zenModeLineWidth = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Show status bar item')
+            .setDesc('Show the current typewriter and focus mode in the status bar. Click it to switch modes.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.showStatusBarItem)
+                .onChange(async (value) => {
+                    this.plugin.settings.showStatusBarItem = value;
                     await this.plugin.saveSettings();
                 }));
 
@@ -884,8 +3533,8 @@ class ScrollerSettingTab extends PluginSettingTab {
         typewriterFeaturesContainer.classList.toggle('scroller-disabled', !this.plugin.settings.enableTypewriterMode);
 
         new Setting(typewriterFeaturesContainer)
-            .setName('Restrict to daily notes')
-            .setDesc('Only apply typewriter mode features when editing daily notes.')
+            .setName('Restrict to periodic notes')
+            .setDesc('Only apply typewriter mode features when editing the periodic notes selected under «Periodic notes».')
             .addToggle(toggle => toggle
                 .setValue(this.plugin.settings.restrictToDailyNotes)
                 .onChange(async (value) => {
@@ -893,6 +3542,48 @@ class ScrollerSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        new Setting(typewriterFeaturesContainer)
+            .setName('Strict drafting mode')
+            .setDesc('Keep the cursor at the end of the note or section and block edits further back than the limit below, so you can only write forward.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.enableStrictMode)
+                .onChange(async (value) => {
+                    this.plugin.settings.enableStrictMode = value;
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+
+        const strictAnchorSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Write at')
+            .setDesc('Choose where the cursor is kept in strict drafting mode.')
+            .addDropdown(dropdown => {
+                STRICT_MODE_ANCHORS.forEach(anchor => dropdown.addOption(anchor.id, anchor.name));
+                dropdown
+                    .setValue(this.plugin.settings.strictModeAnchor)
+                    .onChange(async (value) => {
+                        this.plugin.settings.strictModeAnchor = value;
+                        await this.plugin.saveSettings();
+                    });
+            });
+
+        const strictLimitSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Allow going back within')
+            .setDesc('Choose how much of the text before the cursor can still be navigated and edited in strict drafting mode.')
+            .addDropdown(dropdown => {
+                STRICT_MODE_LIMITS.forEach(limit => dropdown.addOption(limit.id, limit.name));
+                dropdown
+                    .setValue(this.plugin.settings.strictModeLimit)
+                    .onChange(async (value) => {
+                        this.plugin.settings.strictModeLimit = value;
+                        await this.plugin.saveSettings();
+                    });
+            });
+
+        if (!this.plugin.settings.enableStrictMode) {
+            strictAnchorSetting.settingEl.addClass('scroller-setting-disabled');
+            strictLimitSetting.settingEl.addClass('scroller-setting-disabled');
+        }
+
         new Setting(typewriterFeaturesContainer)
             .setName('Scroll with cursor')
             .setDesc('Use the mouse wheel to move the cursor line by line instead of standard scrolling.')
@@ -916,8 +3607,35 @@ class ScrollerSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        const dampingSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Trackpad inertia damping')
+            .setDesc('Slow down the cursor while a trackpad keeps scrolling on its own after you lift your fingers.')
+            .addSlider(slider => slider
+                .setLimits(0, 95, 5)
+                .setValue(this.plugin.settings.cursorScrollingInertiaDamping * 100)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.cursorScrollingInertiaDamping = value / 100;
+                    await this.plugin.saveSettings();
+                }));
+
+        const bypassSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Normal scrolling modifier')
+            .setDesc('Hold this key to scroll the view normally while cursor scrolling is on. Hold Shift to extend the selection line by line.')
+            .addDropdown(dropdown => {
+                WHEEL_BYPASS_MODIFIERS.forEach(modifier => dropdown.addOption(modifier.id, modifier.name));
+                dropdown
+                    .setValue(this.plugin.settings.cursorScrollingBypassModifier)
+                    .onChange(async (value) => {
+                        this.plugin.settings.cursorScrollingBypassModifier = value;
+                        await this.plugin.saveSettings();
+                    });
+            });
+
         if (!this.plugin.settings.enableCursorScrolling) {
             sensitivitySetting.settingEl.addClass('scroller-setting-disabled');
+            dampingSetting.settingEl.addClass('scroller-setting-disabled');
+            bypassSetting.settingEl.addClass('scroller-setting-disabled');
         }
 
         new Setting(typewriterFeaturesContainer)
@@ -943,8 +3661,30 @@ class ScrollerSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        const paddingTopSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Pad the start of the note')
+            .setDesc('Add space above the first line so it can sit at the typewriter line position.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.typewriterPaddingTop)
+                .onChange(async (value) => {
+                    this.plugin.settings.typewriterPaddingTop = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        const paddingBottomSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Pad the end of the note')
+            .setDesc('Add space below the last line so it can sit at the typewriter line position.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.typewriterPaddingBottom)
+                .onChange(async (value) => {
+                    this.plugin.settings.typewriterPaddingBottom = value;
+                    await this.plugin.saveSettings();
+                }));
+
         if (this.plugin.settings.useLineBoundaries) {
             linePositionSetting.settingEl.addClass('scroller-setting-disabled');
+            paddingTopSetting.settingEl.addClass('scroller-setting-disabled');
+            paddingBottomSetting.settingEl.addClass('scroller-setting-disabled');
         }
 
         new Setting(typewriterFeaturesContainer)
@@ -988,18 +3728,17 @@ class ScrollerSettingTab extends PluginSettingTab {
 
         const focusAreaSetting = new Setting(typewriterFeaturesContainer)
             .setName('Focus area')
-            .setDesc('Choose whether to focus on the current paragraph, section, sentence or line.')
-            .addDropdown(dropdown => dropdown
-                .addOption('paragraph', 'Paragraph')
-                .addOption('sentence', 'Sentence')
-                .addOption('section', 'Section')
-                .addOption('line', 'Line')
-                .setValue(this.plugin.settings.focusMode)
-                .onChange(async (value) => {
-                    this.plugin.settings.focusMode = value;
-                    await this.plugin.saveSettings();
-                    this.display();
-                }));
+            .setDesc('Choose whether to focus on the current paragraph, section, sentence, line, heading section, list item, blockquote or callout, or code block.')
+            .addDropdown(dropdown => {
+                FOCUS_MODES.forEach(mode => dropdown.addOption(mode.id, mode.name));
+                dropdown
+                    .setValue(this.plugin.settings.focusMode)
+                    .onChange(async (value) => {
+                        this.plugin.settings.focusMode = value;
+                        await this.plugin.saveSettings();
+                        this.display();
+                    });
+            });
 
         if (!this.plugin.settings.enableContentDimming) {
             focusAreaSetting.settingEl.addClass('scroller-setting-disabled');
@@ -1022,6 +3761,70 @@ class ScrollerSettingTab extends PluginSettingTab {
             this.plugin.settings.focusMode === 'sentence');
         sectionPatternSetting.settingEl.classList.toggle('scroller-setting-hidden', !shouldShowPattern);
 
+        const shouldShowSentenceSettings = this.plugin.settings.enableContentDimming &&
+            this.plugin.settings.focusMode === 'sentence';
+
+        const segmenterSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Sentence segmentation')
+            .setDesc('Built-in rules work well for Russian and English. The system segmenter follows the sentence language and handles text such as Chinese or Japanese.')
+            .addDropdown(dropdown => dropdown
+                .addOption('heuristic', 'Built-in rules')
+                .addOption('intl', 'System segmenter')
+                .setValue(this.plugin.settings.sentenceSegmenter)
+                .onChange(async (value) => {
+                    this.plugin.settings.sentenceSegmenter = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        segmenterSetting.settingEl.classList.toggle('scroller-setting-hidden', !shouldShowSentenceSettings);
+
+        const sentenceLanguageSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Sentence language')
+            .setDesc('Language code used to split sentences, such as de or fr-CA. Leave empty to use the Obsidian language. A note can set it with the lang or scroller-language frontmatter key.')
+            .addText(text => text
+                .setPlaceholder(moment.locale())
+                .setValue(this.plugin.settings.sentenceLanguage)
+                .onChange(async (value) => {
+                    this.plugin.settings.sentenceLanguage = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        sentenceLanguageSetting.settingEl.classList.toggle('scroller-setting-hidden', !shouldShowSentenceSettings);
+
+        const abbreviationsSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Abbreviations')
+            .setDesc('Words that do not end a sentence when followed by a period. One line per language, for example «de: bzw, z.b, usw».')
+            .addTextArea(text => {
+                text.inputEl.rows = 4;
+                text
+                    .setValue(this.plugin.settings.sentenceAbbreviations)
+                    .onChange(async (value) => {
+                        this.plugin.settings.sentenceAbbreviations = value;
+                        await this.plugin.saveSettings();
+                    });
+            });
+
+        abbreviationsSetting.settingEl.classList.toggle('scroller-setting-hidden', !shouldShowSentenceSettings);
+
+        const headingLevelSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Section heading level')
+            .setDesc('Headings at this level or above start a section. Deeper headings are kept in focus as subsections.')
+            .addDropdown(dropdown => {
+                for (let level = 1; level <= 6; level++) {
+                    dropdown.addOption(String(level), `Heading ${level}`);
+                }
+                dropdown
+                    .setValue(String(this.plugin.settings.headingSectionLevel))
+                    .onChange(async (value) => {
+                        this.plugin.settings.headingSectionLevel = parseInt(value, 10);
+                        await this.plugin.saveSettings();
+                    });
+            });
+
+        const shouldShowHeadingLevel = this.plugin.settings.enableContentDimming &&
+            this.plugin.settings.focusMode === 'heading';
+        headingLevelSetting.settingEl.classList.toggle('scroller-setting-hidden', !shouldShowHeadingLevel);
+
         const opacitySetting = new Setting(typewriterFeaturesContainer)
             .setName('Unfocused content opacity')
             .setDesc('Set the opacity level for dimmed content outside the focus area.')
@@ -1038,6 +3841,90 @@ class ScrollerSettingTab extends PluginSettingTab {
             opacitySetting.settingEl.addClass('scroller-setting-disabled');
         }
 
+        const dimmingStyleSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Dimming style')
+            .setDesc('Choose how content outside the focus area is dimmed. Fading lowers the opacity step by step with distance from the focus area until it reaches the level above. Fading only works in the editor, and reading view uses the plain opacity instead. Blur and grayscale are applied on top of that opacity.')
+            .addDropdown(dropdown => {
+                DIMMING_STYLES.forEach(style => dropdown.addOption(style.id, style.name));
+                dropdown
+                    .setValue(this.plugin.settings.dimmingStyle)
+                    .onChange(async (value) => {
+                        this.plugin.settings.dimmingStyle = value;
+                        await this.plugin.saveSettings();
+                        this.display();
+                    });
+            });
+
+        const fadeUnitSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Fade steps')
+            .setDesc('Choose whether each step of the fade is a paragraph or a line, and how many steps it takes to reach full dimming.')
+            .addDropdown(dropdown => {
+                FADE_UNITS.forEach(unit => dropdown.addOption(unit.id, unit.name));
+                dropdown
+                    .setValue(this.plugin.settings.fadeUnit)
+                    .onChange(async (value) => {
+                        this.plugin.settings.fadeUnit = value;
+                        await this.plugin.saveSettings();
+                    });
+            })
+            .addSlider(slider => slider
+                .setLimits(1, 10, 1)
+                .setValue(this.plugin.settings.fadeSteps)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.fadeSteps = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        const blurRadiusSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Blur radius')
+            .setDesc('Set how strongly content outside the focus area is blurred, in pixels.')
+            .addSlider(slider => slider
+                .setLimits(1, 8, 1)
+                .setValue(this.plugin.settings.blurRadius)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.blurRadius = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        fadeUnitSetting.settingEl.classList.toggle('scroller-setting-hidden', this.plugin.settings.dimmingStyle !== 'fade');
+        blurRadiusSetting.settingEl.classList.toggle('scroller-setting-hidden', this.plugin.settings.dimmingStyle !== 'blur');
+
+        if (!this.plugin.settings.enableContentDimming) {
+            dimmingStyleSetting.settingEl.addClass('scroller-setting-disabled');
+            fadeUnitSetting.settingEl.addClass('scroller-setting-disabled');
+            blurRadiusSetting.settingEl.addClass('scroller-setting-disabled');
+        }
+
+        const undimOnSelectionSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Show all text while selecting')
+            .setDesc('Turn off dimming while text is selected. When off, the focus area grows to cover the whole selection and every cursor.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.undimOnSelection)
+                .onChange(async (value) => {
+                    this.plugin.settings.undimOnSelection = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        if (!this.plugin.settings.enableContentDimming) {
+            undimOnSelectionSetting.settingEl.addClass('scroller-setting-disabled');
+        }
+
+        const readingViewFocusSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Focus in reading view')
+            .setDesc('Dim content outside the focus area in reading view. Use the arrow keys or scroll to move the focus.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.enableReadingViewFocus)
+                .onChange(async (value) => {
+                    this.plugin.settings.enableReadingViewFocus = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        if (!this.plugin.settings.enableContentDimming) {
+            readingViewFocusSetting.settingEl.addClass('scroller-setting-disabled');
+        }
+
         new Setting(typewriterFeaturesContainer)
             .setName('Enable smooth scrolling')
             .setDesc('Animate scroll when moving between lines in typewriter mode and using scroll shortcuts.')
@@ -1061,8 +3948,212 @@ class ScrollerSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        const easingSetting = new Setting(typewriterFeaturesContainer)
+            .setName('Smooth scroll easing')
+            .setDesc('Choose the animation curve for smooth scrolling. Animations are turned off when the system asks for reduced motion.')
+            .addDropdown(dropdown => {
+                SCROLL_EASINGS.forEach(easing => dropdown.addOption(easing.id, easing.name));
+                dropdown
+                    .setValue(this.plugin.settings.scrollEasing)
+                    .onChange(async (value) => {
+                        this.plugin.settings.scrollEasing = value;
+                        await this.plugin.saveSettings();
+                    });
+            });
+
         if (!this.plugin.settings.enableSmoothScrolling) {
             durationSetting.settingEl.addClass('scroller-setting-disabled');
+            easingSetting.settingEl.addClass('scroller-setting-disabled');
         }
+
+        this.displayPeriodicNotes(containerEl);
+        this.displayAutoScrollRules(containerEl);
+        this.displayProfiles(containerEl);
+    }
+
+    displayPeriodicNotes(containerEl) {
+        new Setting(containerEl)
+            .setName('Periodic notes')
+            .setDesc('Choose which notes count as periodic notes for «Restrict to periodic notes» and the «Periodic note» auto-scroll rule. Note names are parsed with the date formats and folders of the core Daily notes plugin and the Periodic Notes plugin when it is installed.')
+            .setHeading();
+
+        PERIODIC_NOTE_TYPES.forEach(type => {
+            new Setting(containerEl)
+                .setName(type.name)
+                .addToggle(toggle => toggle
+                    .setValue(this.plugin.settings.periodicNoteTypes.includes(type.id))
+                    .onChange(async (value) => {
+                        const types = this.plugin.settings.periodicNoteTypes.filter(id => id !== type.id);
+                        if (value) types.push(type.id);
+                        this.plugin.settings.periodicNoteTypes = types;
+                        await this.plugin.saveSettings();
+                    }));
+        });
+
+        new Setting(containerEl)
+            .setName('Only current period')
+            .setDesc('Count only the note for the current day, week, month, quarter or year. Turn off to include past and future periodic notes.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.onlyCurrentPeriod)
+                .onChange(async (value) => {
+                    this.plugin.settings.onlyCurrentPeriod = value;
+                    await this.plugin.saveSettings();
+                }));
+    }
+
+    displayAutoScrollRules(containerEl) {
+        new Setting(containerEl)
+            .setName('Auto-scroll rules')
+            .setDesc('Choose where notes open when auto-scroll on file open is enabled. The first matching rule wins. Folders accept globs such as Logs/**, frontmatter rules accept key or key=value, and file names are matched with a regular expression.')
+            .setHeading();
+
+        this.plugin.settings.autoScrollRules.forEach((rule, index) => {
+            const matchType = RULE_MATCH_TYPES.find(type => type.id === rule.type) || RULE_MATCH_TYPES[0];
+
+            const ruleSetting = new Setting(containerEl)
+                .setName(`Rule ${index + 1}`)
+                .addDropdown(dropdown => {
+                    RULE_MATCH_TYPES.forEach(type => dropdown.addOption(type.id, type.name));
+                    dropdown
+                        .setValue(rule.type)
+                        .onChange(async (value) => {
+                            rule.type = value;
+                            await this.plugin.saveSettings();
+                            this.display();
+                        });
+                });
+
+            if (rule.type !== 'daily-note') {
+                ruleSetting.addText(text => text
+                    .setPlaceholder(matchType.placeholder)
+                    .setValue(rule.value)
+                    .onChange(async (value) => {
+                        rule.value = value;
+                        await this.plugin.saveSettings();
+                    }));
+            }
+
+            ruleSetting.addDropdown(dropdown => {
+                AUTO_SCROLL_TARGETS.forEach(target => dropdown.addOption(target.id, target.name));
+                dropdown
+                    .setValue(rule.target)
+                    .onChange(async (value) => {
+                        rule.target = value;
+                        await this.plugin.saveSettings();
+                        this.display();
+                    });
+            });
+
+            if (rule.target === 'heading') {
+                ruleSetting.addText(text => text
+                    .setPlaceholder('First heading')
+                    .setValue(rule.heading || '')
+                    .onChange(async (value) => {
+                        rule.heading = value;
+                        await this.plugin.saveSettings();
+                    }));
+            }
+
+            ruleSetting.addExtraButton(button => button
+                .setIcon('trash')
+                .setTooltip('Remove rule')
+                .onClick(async () => {
+                    this.plugin.settings.autoScrollRules.splice(index, 1);
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+        });
+
+        new Setting(containerEl)
+            .addButton(button => button
+                .setButtonText('Add rule')
+                .onClick(async () => {
+                    this.plugin.settings.autoScrollRules.push({ type: 'folder', value: '', target: 'bottom', heading: '' });
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+    }
+
+    displayProfiles(containerEl) {
+        new Setting(containerEl)
+            .setName('Profiles')
+            .setDesc('Override settings for notes in a folder or with a tag. Frontmatter keys such as scroller-focus or scroller-typewriter take precedence over profiles.')
+            .setHeading();
+
+        this.plugin.settings.profiles.forEach((profile, index) => {
+            const profileContainer = containerEl.createDiv('scroller-profile');
+
+            new Setting(profileContainer)
+                .setName(`Profile ${index + 1}`)
+                .addDropdown(dropdown => dropdown
+                    .addOption('folder', 'Folder')
+                    .addOption('tag', 'Tag')
+                    .setValue(profile.type)
+                    .onChange(async (value) => {
+                        profile.type = value;
+                        await this.plugin.saveSettings();
+                        this.display();
+                    }))
+                .addText(text => text
+                    .setPlaceholder(profile.type === 'tag' ? '#journal' : 'Journal/Daily')
+                    .setValue(profile.value)
+                    .onChange(async (value) => {
+                        profile.value = value;
+                        await this.plugin.saveSettings();
+                    }))
+                .addExtraButton(button => button
+                    .setIcon('trash')
+                    .setTooltip('Remove profile')
+                    .onClick(async () => {
+                        this.plugin.settings.profiles.splice(index, 1);
+                        await this.plugin.saveSettings();
+                        this.display();
+                    }));
+
+            for (const [key, descriptor] of Object.entries(PROFILE_OVERRIDES)) {
+                const currentValue = profile.overrides[key];
+                const saveOverride = async (value) => {
+                    if (value === '') {
+                        delete profile.overrides[key];
+                    } else {
+                        profile.overrides[key] = value;
+                    }
+                    await this.plugin.saveSettings();
+                };
+
+                const overrideSetting = new Setting(profileContainer).setName(descriptor.name);
+
+                if (descriptor.type === 'boolean') {
+                    overrideSetting.addDropdown(dropdown => dropdown
+                        .addOption('', 'Default')
+                        .addOption('true', 'On')
+                        .addOption('false', 'Off')
+                        .setValue(currentValue === undefined ? '' : String(currentValue))
+                        .onChange(saveOverride));
+                } else if (descriptor.type === 'focusMode') {
+                    overrideSetting.addDropdown(dropdown => {
+                        dropdown.addOption('', 'Default');
+                        FOCUS_MODES.forEach(mode => dropdown.addOption(mode.id, mode.name));
+                        dropdown
+                            .setValue(currentValue === undefined ? '' : currentValue)
+                            .onChange(saveOverride);
+                    });
+                } else {
+                    overrideSetting.addText(text => text
+                        .setPlaceholder(formatOverrideValue(descriptor, this.plugin.settings[key]))
+                        .setValue(currentValue === undefined ? '' : String(currentValue))
+                        .onChange(value => saveOverride(value.trim())));
+                }
+            }
+        });
+
+        new Setting(containerEl)
+            .addButton(button => button
+                .setButtonText('Add profile')
+                .onClick(async () => {
+                    this.plugin.settings.profiles.push({ type: 'folder', value: '', overrides: {} });
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
     }
 }
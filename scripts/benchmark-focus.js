@@ -0,0 +1,102 @@
+// Measures how long focus mode takes per keystroke on a large generated note,
+// comparing a full rescan of the note with the incremental document structure.
+//
+// Run it from a checkout where the CodeMirror packages are installed:
+//
+//     npm install --no-save @codemirror/state @codemirror/view @codemirror/commands
+//     node scripts/benchmark-focus.js [lines] [keystrokes]
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const { performance } = require('perf_hooks');
+
+const lineCount = parseInt(process.argv[2], 10) || 50000;
+const keystrokes = parseInt(process.argv[3], 10) || 200;
+
+// The obsidian package only ships type definitions, so main.js is loaded with
+// empty stand-ins for the parts it touches while being evaluated.
+const loadModule = Module._load;
+Module._load = function (request, parent, isMain) {
+    if (request === 'obsidian') {
+        class Stub {}
+        return {
+            Plugin: Stub,
+            MarkdownView: Stub,
+            PluginSettingTab: Stub,
+            Setting: Stub,
+            Menu: Stub,
+            Notice: Stub,
+            TFile: Stub,
+            debounce: callback => callback,
+            normalizePath: value => value,
+            moment: Object.assign(() => null, { locale: () => 'en' }),
+            getAllTags: () => [],
+            editorInfoField: null
+        };
+    }
+    return loadModule.call(this, request, parent, isMain);
+};
+
+const mainPath = path.join(__dirname, '..', 'main.js');
+const pluginModule = new Module(mainPath, module);
+pluginModule.filename = mainPath;
+pluginModule.paths = Module._nodeModulePaths(path.dirname(mainPath));
+pluginModule._compile(
+    `${fs.readFileSync(mainPath, 'utf8')}\nmodule.exports = { DocumentStructure, findFocusRange, DEFAULT_SETTINGS };`,
+    mainPath
+);
+const { DocumentStructure, findFocusRange, DEFAULT_SETTINGS } = pluginModule.exports;
+const { EditorState } = pluginModule.require('@codemirror/state');
+
+function generateNote() {
+    const lines = [];
+    for (let index = 0; lines.length < lineCount; index++) {
+        const hour = String(index % 24).padStart(2, '0');
+        lines.push(
+            `# ${hour}:00`,
+            'Wrote a few sentences about the day. Then another one followed.',
+            'The paragraph continues on a second line.',
+            '',
+            '## Notes',
+            `[${hour}:00:${String(index % 60).padStart(2, '0')}] INFO request handled in ${index % 97} ms`,
+            '```',
+            'const value = 1;',
+            '```',
+            ''
+        );
+    }
+    return lines.slice(0, lineCount).join('\n');
+}
+
+function measure(focusMode, note) {
+    const settings = Object.assign({}, DEFAULT_SETTINGS, { focusMode });
+    let state = EditorState.create({ doc: note });
+    let structure = new DocumentStructure(state.doc, settings.sectionHeaderPattern);
+    let fullTime = 0;
+    let incrementalTime = 0;
+
+    for (let keystroke = 0; keystroke < keystrokes; keystroke++) {
+        const position = Math.floor(state.doc.length / 10) + keystroke;
+        const transaction = state.update({ changes: { from: position, insert: 'x' } });
+        state = transaction.state;
+
+        let start = performance.now();
+        findFocusRange(state.doc, position, settings, new DocumentStructure(state.doc, settings.sectionHeaderPattern));
+        fullTime += performance.now() - start;
+
+        start = performance.now();
+        structure = structure.update(transaction.changes, state.doc);
+        findFocusRange(state.doc, position, settings, structure);
+        incrementalTime += performance.now() - start;
+    }
+
+    return { fullTime: fullTime / keystrokes, incrementalTime: incrementalTime / keystrokes };
+}
+
+const note = generateNote();
+console.log(`Focus computation per keystroke on ${lineCount} lines, ${keystrokes} keystrokes:`);
+for (const focusMode of ['paragraph', 'sentence', 'section', 'heading', 'code-block']) {
+    const { fullTime, incrementalTime } = measure(focusMode, note);
+    console.log(`  ${focusMode.padEnd(10)} full rescan ${fullTime.toFixed(3)} ms, incremental ${incrementalTime.toFixed(3)} ms`);
+}